@@ -49,6 +49,7 @@ require_once GCAL_TAG_FILTER_PATH . 'includes/class-gcal-parser.php';
 require_once GCAL_TAG_FILTER_PATH . 'includes/class-gcal-cache.php';
 require_once GCAL_TAG_FILTER_PATH . 'includes/class-gcal-categories.php';
 require_once GCAL_TAG_FILTER_PATH . 'includes/class-gcal-shortcode.php';
+require_once GCAL_TAG_FILTER_PATH . 'includes/class-gcal-rest.php';
 
 /**
  * Admin classes.
@@ -100,6 +101,7 @@ function gcal_tag_filter_query_vars( $vars ) {
     $vars[] = 'gcal_year';
     $vars[] = 'gcal_month';
     $vars[] = 'gcal_week';
+    $vars[] = 'gcal_day';
     return $vars;
 }
 add_filter( 'query_vars', 'gcal_tag_filter_query_vars' );
@@ -117,13 +119,15 @@ function gcal_tag_filter_preserve_homepage( $query ) {
 		return;
 	}
 
-	// Check if any calendar query parameters are present
-	$has_gcal_params = isset( $_GET['gcal_view'] ) ||
-	                   isset( $_GET['gcal_year'] ) ||
-	                   isset( $_GET['gcal_month'] ) ||
-	                   isset( $_GET['gcal_week'] ) ||
-	                   isset( $_GET['gcal_display'] ) ||
-	                   isset( $_GET['gcal_category'] );
+	// Check if any calendar query parameters are present, including the
+	// gcal_{instance}_* parameters of further calendars on the page
+	$has_gcal_params = false;
+	foreach ( array_keys( $_GET ) as $param ) {
+		if ( preg_match( '/^gcal_(?:[a-z0-9_-]+_)?(?:view|year|month|week|day|display|category)$/', $param ) ) {
+			$has_gcal_params = true;
+			break;
+		}
+	}
 
 	// If calendar parameters are present and we're on what WordPress thinks is the blog page
 	if ( $has_gcal_params && $query->is_home() && ! is_front_page() ) {
@@ -152,9 +156,250 @@ function gcal_tag_filter_init() {
 
     // Initialize shortcode handler
     new GCal_Shortcode();
+
+    // Initialize REST routes
+    new GCal_REST();
 }
 add_action( 'init', 'gcal_tag_filter_init' );
 
+/**
+ * Convert a WordPress locale to a BCP 47 language tag for JavaScript's Intl API.
+ *
+ * Variants such as de_DE_formal are dropped ('de-DE').
+ *
+ * @param string $locale Optional. WordPress locale. Default the current locale.
+ * @return string Language tag, e.g. 'en-US'.
+ */
+function gcal_tag_filter_js_locale( $locale = '' ) {
+    if ( ! $locale ) {
+        $locale = determine_locale();
+    }
+
+    $parts = explode( '_', $locale );
+
+    return isset( $parts[1] ) ? $parts[0] . '-' . $parts[1] : $parts[0];
+}
+
+/**
+ * Get the site timezone as an IANA name for JavaScript's Intl API.
+ *
+ * On sites set to a UTC offset, wp_timezone_string() returns the offset
+ * ('+02:00'), which Intl does not accept. Whole hours map to the fixed
+ * Etc/GMT zone of that offset, others to a zone currently at that offset.
+ *
+ * @return string Timezone name, e.g. 'Europe/Paris' or 'Etc/GMT-2'.
+ */
+function gcal_tag_filter_js_timezone() {
+    $timezone = wp_timezone_string();
+
+    if ( ! preg_match( '/^([+-])(\d{2}):(\d{2})$/', $timezone, $matches ) ) {
+        return $timezone;
+    }
+
+    $offset = ( (int) $matches[2] * HOUR_IN_SECONDS + (int) $matches[3] * MINUTE_IN_SECONDS ) * ( '-' === $matches[1] ? -1 : 1 );
+
+    if ( 0 === $offset ) {
+        return 'UTC';
+    }
+
+    if ( 0 === $offset % HOUR_IN_SECONDS ) {
+        // Etc/GMT zones are named with the sign inverted: Etc/GMT-2 is UTC+2
+        return sprintf( 'Etc/GMT%+d', -$offset / HOUR_IN_SECONDS );
+    }
+
+    $name = timezone_name_from_abbr( '', $offset, 0 );
+
+    return $name ? $name : 'UTC';
+}
+
+/**
+ * Get the weekday and month names, am/pm markers and date formats used by the calendar scripts.
+ *
+ * Translated in the current locale: the site's for gcalData, or a
+ * shortcode's own locale for its calendar's data-date-names attribute
+ * (see GCalNavigation.getDateNames()).
+ *
+ * @return array Names keyed as in gcalData.i18n.
+ */
+function gcal_tag_filter_js_date_names() {
+    global $wp_locale;
+
+    // Reorder weekdays based on WordPress week start setting
+    $week_starts_on = (int) get_option( 'start_of_week', 1 ); // 0=Sunday, 1=Monday, etc.
+    $all_weekdays   = array(
+        __( 'Sun', 'gcal-tag-filter' ), // 0
+        __( 'Mon', 'gcal-tag-filter' ), // 1
+        __( 'Tue', 'gcal-tag-filter' ), // 2
+        __( 'Wed', 'gcal-tag-filter' ), // 3
+        __( 'Thu', 'gcal-tag-filter' ), // 4
+        __( 'Fri', 'gcal-tag-filter' ), // 5
+        __( 'Sat', 'gcal-tag-filter' ), // 6
+    );
+
+    $weekdays_short = array();
+    for ( $i = 0; $i < 7; $i++ ) {
+        $weekdays_short[] = $all_weekdays[ ( $week_starts_on + $i ) % 7 ];
+    }
+
+    return array(
+        'weekdaysShort' => $weekdays_short,
+        'months' => array(
+            __( 'January', 'gcal-tag-filter' ),
+            __( 'February', 'gcal-tag-filter' ),
+            __( 'March', 'gcal-tag-filter' ),
+            __( 'April', 'gcal-tag-filter' ),
+            __( 'May', 'gcal-tag-filter' ),
+            __( 'June', 'gcal-tag-filter' ),
+            __( 'July', 'gcal-tag-filter' ),
+            __( 'August', 'gcal-tag-filter' ),
+            __( 'September', 'gcal-tag-filter' ),
+            __( 'October', 'gcal-tag-filter' ),
+            __( 'November', 'gcal-tag-filter' ),
+            __( 'December', 'gcal-tag-filter' ),
+        ),
+        // Date badge labels used by list cards (weekdays Monday first)
+        'monthsShort' => array(
+            __( 'Jan', 'gcal-tag-filter' ),
+            __( 'Feb', 'gcal-tag-filter' ),
+            __( 'Mar', 'gcal-tag-filter' ),
+            __( 'Apr', 'gcal-tag-filter' ),
+            __( 'May', 'gcal-tag-filter' ),
+            __( 'Jun', 'gcal-tag-filter' ),
+            __( 'Jul', 'gcal-tag-filter' ),
+            __( 'Aug', 'gcal-tag-filter' ),
+            __( 'Sep', 'gcal-tag-filter' ),
+            __( 'Oct', 'gcal-tag-filter' ),
+            __( 'Nov', 'gcal-tag-filter' ),
+            __( 'Dec', 'gcal-tag-filter' ),
+        ),
+        'weekdaysShortDot' => array(
+            __( 'Mon.', 'gcal-tag-filter' ),
+            __( 'Tue.', 'gcal-tag-filter' ),
+            __( 'Wed.', 'gcal-tag-filter' ),
+            __( 'Thu.', 'gcal-tag-filter' ),
+            __( 'Fri.', 'gcal-tag-filter' ),
+            __( 'Sat.', 'gcal-tag-filter' ),
+            __( 'Sun.', 'gcal-tag-filter' ),
+        ),
+        // am/pm as wp_date() translates them for the time format
+        'meridiem' => array(
+            'am' => $wp_locale->get_meridiem( 'am' ),
+            'pm' => $wp_locale->get_meridiem( 'pm' ),
+            'AM' => $wp_locale->get_meridiem( 'AM' ),
+            'PM' => $wp_locale->get_meridiem( 'PM' ),
+        ),
+        'dayHeadingFormat' => gcal_tag_filter_day_heading_format(),
+        'dateFormatNames' => gcal_tag_filter_js_date_format_names(),
+    );
+}
+
+/**
+ * Get the date format of the upcoming agenda's day headings.
+ *
+ * Used by the server through wp_date() and by the scripts through
+ * GCalNavigation.formatWPDate(), so both give the same heading.
+ *
+ * @return string PHP date format, e.g. 'l, F j'.
+ */
+function gcal_tag_filter_day_heading_format() {
+    /* translators: date format of the upcoming agenda's day headings, see https://www.php.net/manual/datetime.format.php */
+    return _x( 'l, F j', 'agenda day heading', 'gcal-tag-filter' );
+}
+
+/**
+ * Get the names wp_date() formats dates with.
+ *
+ * Taken from the current WP_Locale, with months declined as
+ * wp_maybe_decline_date() does in the locales that ask for it.
+ *
+ * @return array Names keyed as read by GCalNavigation.formatWPDate().
+ */
+function gcal_tag_filter_js_date_format_names() {
+    global $wp_locale;
+
+    $names = array(
+        'weekday'       => array(),
+        'weekdayAbbrev' => array(),
+        'month'         => array(),
+        'monthAbbrev'   => array(),
+        'monthGenitive' => array_values( $wp_locale->month_genitive ),
+        // phpcs:ignore WordPress.WP.I18n.MissingArgDomain -- WordPress core's own setting
+        'declineMonths' => 'on' === _x( 'off', 'decline months names: on or off' ),
+    );
+
+    // Sunday first, as Date.prototype.getDay() counts
+    for ( $i = 0; $i < 7; $i++ ) {
+        $names['weekday'][]       = $wp_locale->get_weekday( $i );
+        $names['weekdayAbbrev'][] = $wp_locale->get_weekday_abbrev( $wp_locale->get_weekday( $i ) );
+    }
+
+    for ( $i = 1; $i <= 12; $i++ ) {
+        $names['month'][]       = $wp_locale->get_month( $i );
+        $names['monthAbbrev'][] = $wp_locale->get_month_abbrev( $wp_locale->get_month( $i ) );
+    }
+
+    return $names;
+}
+
+/**
+ * Translate a plural string for JavaScript.
+ *
+ * Gettext plural forms are only known on the server, so the string is
+ * translated for sample counts covering every CLDR plural category (zero,
+ * one, two, few, many, other) of the supported languages, and each
+ * translation is keyed by the category of its count. The script picks the
+ * form of the real count's Intl.PluralRules category, or the 'other' form
+ * (see GCalI18n.plural()).
+ *
+ * @param callable $translate Returns the translation for a count, e.g. via _n().
+ * @return array Translations keyed by plural category.
+ */
+function gcal_tag_filter_js_plural( $translate ) {
+    $locale = gcal_tag_filter_js_locale();
+    $forms  = array();
+
+    foreach ( array( 0, 1, 2, 3, 5, 6, 7, 11, 21, 100 ) as $count ) {
+        $category = gcal_tag_filter_plural_category( $count, $locale );
+
+        if ( ! isset( $forms[ $category ] ) ) {
+            $forms[ $category ] = call_user_func( $translate, $count );
+        }
+    }
+
+    // Some languages keep 'other' for fractions, which gettext has no form for
+    if ( ! isset( $forms['other'] ) ) {
+        $forms['other'] = call_user_func( $translate, 100 );
+    }
+
+    return $forms;
+}
+
+/**
+ * Get the CLDR plural category of a count, as Intl.PluralRules would.
+ *
+ * Uses ICU through the intl extension. Without it, only 'one' (for 1) and
+ * 'other' are told apart, as in English.
+ *
+ * @param int    $count  Count.
+ * @param string $locale Language tag, e.g. 'pl-PL'.
+ * @return string Category: 'zero', 'one', 'two', 'few', 'many' or 'other'.
+ */
+function gcal_tag_filter_plural_category( $count, $locale ) {
+    if ( class_exists( 'MessageFormatter' ) ) {
+        $category = MessageFormatter::formatMessage(
+            $locale,
+            '{0, plural, zero {zero} one {one} two {two} few {few} many {many} other {other}}',
+            array( $count )
+        );
+
+        if ( is_string( $category ) && '' !== $category ) {
+            return $category;
+        }
+    }
+
+    return 1 === $count ? 'one' : 'other';
+}
+
 /**
  * Enqueue frontend styles and scripts.
  */
@@ -192,6 +437,30 @@ function gcal_tag_filter_enqueue_scripts() {
         );
 
         // Scripts
+        wp_enqueue_script(
+            'gcal-event-bus',
+            GCAL_TAG_FILTER_URL . 'public/js/event-bus.js',
+            array(),
+            GCAL_TAG_FILTER_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'gcal-event-store',
+            GCAL_TAG_FILTER_URL . 'public/js/event-store.js',
+            array( 'gcal-timezone-handler' ),
+            GCAL_TAG_FILTER_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'gcal-i18n',
+            GCAL_TAG_FILTER_URL . 'public/js/i18n.js',
+            array(),
+            GCAL_TAG_FILTER_VERSION,
+            true
+        );
+
         wp_enqueue_script(
             'gcal-timezone-handler',
             GCAL_TAG_FILTER_URL . 'public/js/timezone-handler.js',
@@ -203,7 +472,7 @@ function gcal_tag_filter_enqueue_scripts() {
         wp_enqueue_script(
             'gcal-event-modal',
             GCAL_TAG_FILTER_URL . 'public/js/event-modal.js',
-            array(),
+            array( 'gcal-event-bus', 'gcal-event-store', 'gcal-i18n' ),
             GCAL_TAG_FILTER_VERSION,
             true
         );
@@ -211,7 +480,7 @@ function gcal_tag_filter_enqueue_scripts() {
         wp_enqueue_script(
             'gcal-calendar-navigation',
             GCAL_TAG_FILTER_URL . 'public/js/calendar-navigation.js',
-            array( 'gcal-timezone-handler' ),
+            array( 'gcal-event-bus', 'gcal-event-store', 'gcal-i18n', 'gcal-timezone-handler' ),
             GCAL_TAG_FILTER_VERSION,
             true
         );
@@ -219,7 +488,7 @@ function gcal_tag_filter_enqueue_scripts() {
         wp_enqueue_script(
             'gcal-category-filter',
             GCAL_TAG_FILTER_URL . 'public/js/category-filter.js',
-            array(),
+            array( 'gcal-event-bus', 'gcal-event-store', 'gcal-i18n' ),
             GCAL_TAG_FILTER_VERSION,
             true
         );
@@ -227,7 +496,7 @@ function gcal_tag_filter_enqueue_scripts() {
         wp_enqueue_script(
             'gcal-contrast-handler',
             GCAL_TAG_FILTER_URL . 'public/js/contrast-handler.js',
-            array(),
+            array( 'gcal-event-bus' ),
             GCAL_TAG_FILTER_VERSION,
             true
         );
@@ -240,6 +509,49 @@ function gcal_tag_filter_enqueue_scripts() {
             true
         );
 
+        wp_enqueue_script(
+            'gcal-state-router',
+            GCAL_TAG_FILTER_URL . 'public/js/state-router.js',
+            array( 'gcal-calendar-navigation', 'gcal-category-filter', 'gcal-event-modal' ),
+            GCAL_TAG_FILTER_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'gcal-keyboard-navigation',
+            GCAL_TAG_FILTER_URL . 'public/js/keyboard-navigation.js',
+            array( 'gcal-calendar-navigation' ),
+            GCAL_TAG_FILTER_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'gcal-swipe-navigation',
+            GCAL_TAG_FILTER_URL . 'public/js/swipe-navigation.js',
+            array( 'gcal-calendar-navigation' ),
+            GCAL_TAG_FILTER_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'gcal-timezone-switcher',
+            GCAL_TAG_FILTER_URL . 'public/js/timezone-switcher.js',
+            array( 'gcal-event-bus', 'gcal-i18n', 'gcal-timezone-handler', 'gcal-calendar-navigation' ),
+            GCAL_TAG_FILTER_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'gcal-day-overflow',
+            GCAL_TAG_FILTER_URL . 'public/js/day-overflow.js',
+            array( 'gcal-calendar-navigation', 'gcal-i18n' ),
+            GCAL_TAG_FILTER_VERSION,
+            true
+        );
+
+        // Browser cache of fetched events expires with the server cache
+        $cache = new GCal_Cache();
+
         // Get category colors for JavaScript
         $categories = GCal_Categories::get_categories();
         $category_colors = array();
@@ -252,22 +564,6 @@ function gcal_tag_filter_enqueue_scripts() {
         $time_format = get_option( 'time_format', 'g:i a' );
         $date_format = get_option( 'date_format', 'F j, Y' );
 
-        // Reorder weekdays based on WordPress week start setting
-        $all_weekdays = array(
-            __( 'Sun', 'gcal-tag-filter' ), // 0
-            __( 'Mon', 'gcal-tag-filter' ), // 1
-            __( 'Tue', 'gcal-tag-filter' ), // 2
-            __( 'Wed', 'gcal-tag-filter' ), // 3
-            __( 'Thu', 'gcal-tag-filter' ), // 4
-            __( 'Fri', 'gcal-tag-filter' ), // 5
-            __( 'Sat', 'gcal-tag-filter' ), // 6
-        );
-
-        $weekdays_short = array();
-        for ( $i = 0; $i < 7; $i++ ) {
-            $weekdays_short[] = $all_weekdays[ ( $week_starts_on + $i ) % 7 ];
-        }
-
         // Localize script with necessary data and i18n strings
         wp_localize_script(
             'gcal-calendar-navigation',
@@ -275,44 +571,68 @@ function gcal_tag_filter_enqueue_scripts() {
             array(
                 'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
                 'nonce'     => wp_create_nonce( 'gcal-ajax-nonce' ),
+                'restUrl'   => rest_url( GCal_REST::ROUTE_NAMESPACE . '/events' ),
+                // Only logged-in users need the REST nonce (it identifies their cookie
+                // session); a stale nonce from a cached page would get anonymous
+                // visitors a 403 on the public events route
+                'restNonce' => is_user_logged_in() ? wp_create_nonce( 'wp_rest' ) : '',
+                // Events differ per user (admins see untagged ones); see getStorageKey()
+                'cacheScope' => is_user_logged_in() ? 'user-' . get_current_user_id() : 'public',
                 'categories' => $category_colors,
                 'settings' => array(
                     'weekStartsOn' => $week_starts_on,
                     'timeFormat'   => $time_format,
                     'dateFormat'   => $date_format,
                     'is24Hour'     => ( strpos( $time_format, 'H' ) !== false || strpos( $time_format, 'G' ) !== false ),
+                    'cacheDuration' => $cache->get_cache_duration(),
+                    'locale'       => gcal_tag_filter_js_locale(),
+                    'eventTimezone' => GCal_Calendar::get_calendar_timezone(),
+                    // Timezone the server buckets days in (see GCal_Display::get_site_datetime())
+                    'siteTimezone' => gcal_tag_filter_js_timezone(),
                 ),
-                'i18n' => array(
-                    'weekdaysShort' => $weekdays_short,
-                    'months' => array(
-                        __( 'January', 'gcal-tag-filter' ),
-                        __( 'February', 'gcal-tag-filter' ),
-                        __( 'March', 'gcal-tag-filter' ),
-                        __( 'April', 'gcal-tag-filter' ),
-                        __( 'May', 'gcal-tag-filter' ),
-                        __( 'June', 'gcal-tag-filter' ),
-                        __( 'July', 'gcal-tag-filter' ),
-                        __( 'August', 'gcal-tag-filter' ),
-                        __( 'September', 'gcal-tag-filter' ),
-                        __( 'October', 'gcal-tag-filter' ),
-                        __( 'November', 'gcal-tag-filter' ),
-                        __( 'December', 'gcal-tag-filter' ),
-                    ),
+                'i18n' => array_merge( gcal_tag_filter_js_date_names(), array(
                     'noEvents' => __( 'No events', 'gcal-tag-filter' ),
+                    'noEventsFound' => __( 'No events found.', 'gcal-tag-filter' ),
+                    'loadError' => __( 'Events could not be loaded.', 'gcal-tag-filter' ),
+                    'retry' => __( 'Retry', 'gcal-tag-filter' ),
+                    'moreEvents' => gcal_tag_filter_js_plural(
+                        function ( $count ) {
+                            /* translators: %d: number of hidden events */
+                            return _n( '+%d more', '+%d more', $count, 'gcal-tag-filter' );
+                        }
+                    ),
+                    'showLess' => __( 'Show less', 'gcal-tag-filter' ),
+                    'allCategories' => __( 'All categories', 'gcal-tag-filter' ),
+                    'uncategorized' => __( 'Uncategorized', 'gcal-tag-filter' ),
+                    'unknownTags' => __( 'Unknown tags', 'gcal-tag-filter' ),
+                    /* translators: %s: invalid tag name */
+                    'unknownTag' => __( 'Unknown tag: %s', 'gcal-tag-filter' ),
                     'allDay' => __( 'All day', 'gcal-tag-filter' ),
-                    'event' => __( 'event', 'gcal-tag-filter' ),
-                    'events' => __( 'events', 'gcal-tag-filter' ),
+                    'eventCount' => gcal_tag_filter_js_plural(
+                        function ( $count ) {
+                            /* translators: %d: number of events */
+                            return _n( '%d event', '%d events', $count, 'gcal-tag-filter' );
+                        }
+                    ),
                     'learnMore' => __( 'Learn more', 'gcal-tag-filter' ),
                     'close' => __( 'Close', 'gcal-tag-filter' ),
                     'copied' => __( 'Copied!', 'gcal-tag-filter' ),
                     'error' => __( 'Error', 'gcal-tag-filter' ),
                     'noEventsCategory' => __( 'No events found for this category.', 'gcal-tag-filter' ),
+                    'eventNotFound' => __( 'Event not found', 'gcal-tag-filter' ),
                     'eventNotVisible' => __( 'The shared event is not visible in the current period. Try changing the view or period.', 'gcal-tag-filter' ),
                     'dateAndTime' => __( 'Date and time', 'gcal-tag-filter' ),
                     'location' => __( 'Location', 'gcal-tag-filter' ),
                     'viewInGoogleCalendar' => __( 'View in Google Calendar', 'gcal-tag-filter' ),
                     'copyLink' => __( 'Copy link', 'gcal-tag-filter' ),
-                ),
+                    /* translators: %s: timezone name, e.g. Asia/Hong_Kong */
+                    'eventTimezone' => __( 'Event timezone (%s)', 'gcal-tag-filter' ),
+                    /* translators: %s: timezone name, e.g. Europe/Paris */
+                    'myTimezone' => __( 'My timezone (%s)', 'gcal-tag-filter' ),
+                    /* translators: %s: date and time of an event in its own timezone */
+                    'inEventTimezone' => __( 'Event time: %s', 'gcal-tag-filter' ),
+                    'unknownTimezone' => __( 'Unknown timezone.', 'gcal-tag-filter' ),
+                ) ),
             )
         );
     }
@@ -320,140 +640,61 @@ function gcal_tag_filter_enqueue_scripts() {
 add_action( 'wp_enqueue_scripts', 'gcal_tag_filter_enqueue_scripts' );
 
 /**
- * AJAX handler to fetch events for a specific month/week/year.
+ * AJAX handler to fetch events between an explicit start and end.
+ *
+ * Takes ISO 8601 `start` and exclusive `end` (see GCal_Calendar::parse_range()).
+ * Older requests with `year` and optional `month`, or `start` and `days`, are
+ * turned into the matching range.
  */
 function gcal_ajax_fetch_events() {
     // Verify nonce
     check_ajax_referer( 'gcal-ajax-nonce', 'nonce' );
 
     // Get parameters
-    $year  = isset( $_POST['year'] ) ? intval( $_POST['year'] ) : gmdate( 'Y' );
-    $month = isset( $_POST['month'] ) ? intval( $_POST['month'] ) : null;
-
-    // Create date range based on whether month is provided
-    $start = new DateTime();
-    $start->setTimezone( new DateTimeZone( 'UTC' ) );
-
-    if ( $month !== null ) {
-        // Month-specific range
-        $start->setDate( $year, $month, 1 );
-        $start->setTime( 0, 0, 0 );
-
-        $end = clone $start;
-        $end->modify( 'last day of this month' );
-        $end->setTime( 23, 59, 59 );
-    } else {
-        // Full year range
-        $start->setDate( $year, 1, 1 );
-        $start->setTime( 0, 0, 0 );
-
-        $end = clone $start;
-        $end->setDate( $year, 12, 31 );
-        $end->setTime( 23, 59, 59 );
-    }
-
-    // Fetch events from API
-    $calendar = new GCal_Calendar();
-    $oauth    = new GCal_OAuth();
-
-    try {
-        $client      = $oauth->get_authenticated_client();
-        $calendar_id = $oauth->get_selected_calendar_id();
-
-        if ( ! $client || ! $calendar_id ) {
-            wp_send_json_error( array( 'message' => 'Not authenticated' ) );
-            return;
+    $start = isset( $_POST['start'] ) ? sanitize_text_field( wp_unslash( $_POST['start'] ) ) : '';
+    $end   = isset( $_POST['end'] ) ? sanitize_text_field( wp_unslash( $_POST['end'] ) ) : '';
+    $days  = isset( $_POST['days'] ) ? min( absint( $_POST['days'] ), 90 ) : 0;
+
+    if ( $start && ! $end && $days > 0 ) {
+        // Rolling window of days from the start date
+        $range_start = DateTime::createFromFormat( '!Y-m-d', $start, wp_timezone() );
+        if ( $range_start ) {
+            $range_end = clone $range_start;
+            $range_end->modify( '+' . $days . ' days' );
+            $end = $range_end->format( 'Y-m-d' );
         }
+    } elseif ( ! $start && ! $end ) {
+        // Whole month, or whole year without a month
+        $year  = isset( $_POST['year'] ) ? intval( $_POST['year'] ) : (int) wp_date( 'Y' );
+        $month = isset( $_POST['month'] ) ? intval( $_POST['month'] ) : null;
 
-        $service = new Google_Service_Calendar( $client );
-        $params  = array(
-            'timeMin'      => $start->format( DateTime::RFC3339 ),
-            'timeMax'      => $end->format( DateTime::RFC3339 ),
-            'maxResults'   => 100,
-            'singleEvents' => true,
-            'orderBy'      => 'startTime',
-        );
+        $range_start = new DateTime( 'now', wp_timezone() );
+        $range_start->setDate( $year, $month ? $month : 1, 1 );
+        $range_start->setTime( 0, 0, 0 );
 
-        $events = $service->events->listEvents( $calendar_id, $params );
-        $items  = $events->getItems();
-
-        // Process events (same logic as GCal_Calendar::process_events)
-        $parser    = new GCal_Parser();
-        $processed = array();
-
-        foreach ( $items as $event ) {
-            $description = $event->getDescription() ?? '';
-
-            // Extract and validate tags
-            $tag_result   = $parser->extract_tags( $description );
-            $valid_tags   = isset( $tag_result['valid'] ) ? $tag_result['valid'] : array();
-            $invalid_tags = isset( $tag_result['invalid'] ) ? $tag_result['invalid'] : array();
-
-            // Clean description
-            $clean_description = $parser->strip_tags( $description );
-
-            // Get start/end times
-            $start_obj = $event->getStart();
-            $end_obj   = $event->getEnd();
-
-            $is_all_day = ! empty( $start_obj->date );
-            $start_time = $is_all_day ? $start_obj->date : $start_obj->dateTime;
-            $end_time   = $is_all_day ? $end_obj->date : $end_obj->dateTime;
-
-            $has_no_tags      = empty( $valid_tags ) && empty( $invalid_tags );
-            $has_invalid_tags = ! empty( $invalid_tags );
-            $has_valid_tags   = ! empty( $valid_tags );
-
-            $processed[] = array(
-                'id'               => $event->getId(),
-                'title'            => $event->getSummary() ?? __( '(Untitled)', 'gcal-tag-filter' ),
-                'description'      => $clean_description,
-                'location'         => $event->getLocation() ?? '',
-                'start'            => $start_time,
-                'end'              => $end_time,
-                'is_all_day'       => $is_all_day,
-                'tags'             => $valid_tags,
-                'invalid_tags'     => $invalid_tags,
-                'is_untagged'      => $has_no_tags,
-                'has_unknown_tags' => $has_invalid_tags && ! $has_valid_tags,
-            );
-        }
+        $range_end = clone $range_start;
+        $range_end->modify( $month ? '+1 month' : '+1 year' );
 
-        // Filter for non-admins (same logic as class-gcal-calendar.php)
-        if ( ! current_user_can( 'manage_options' ) ) {
-            $processed = array_filter(
-                $processed,
-                function ( $event ) {
-                    return ! empty( $event['tags'] );
-                }
-            );
-        }
-
-        // Prepare for JS (match the format from class-gcal-display.php)
-        $js_events = array();
-
-        foreach ( $processed as $event ) {
-            $js_events[] = array(
-                'id'          => $event['id'],
-                'title'       => $event['title'],
-                'start'       => $event['start'],
-                'end'         => $event['end'],
-                'isAllDay'    => $event['is_all_day'],
-                'description' => $event['description'],
-                'location'    => $event['location'],
-                'tags'        => $event['tags'],
-                'invalidTags' => $event['invalid_tags'],
-            );
-        }
+        $start = $range_start->format( 'Y-m-d' );
+        $end   = $range_end->format( 'Y-m-d' );
+    }
 
-        wp_send_json_success( array(
-            'events' => array_values( $js_events ),
-            'count'  => count( $js_events ),
-        ) );
+    // Untagged events stay hidden from visitors: the shared cache keeps the
+    // events of users who may see them apart (see GCal_Cache::generate_key())
+    $calendar = new GCal_Calendar();
+    $events   = $calendar->get_events( 'range', array(), null, null, null, null, null, $start, $end );
 
-    } catch ( Exception $e ) {
-        wp_send_json_error( array( 'message' => $e->getMessage() ) );
+    if ( is_wp_error( $events ) ) {
+        wp_send_json_error( array( 'message' => $events->get_error_message() ) );
+        return;
     }
+
+    $js_events = GCal_REST::prepare_events( $events );
+
+    wp_send_json_success( array(
+        'events' => $js_events,
+        'count'  => count( $js_events ),
+    ) );
 }
 add_action( 'wp_ajax_gcal_fetch_events', 'gcal_ajax_fetch_events' );
 add_action( 'wp_ajax_nopriv_gcal_fetch_events', 'gcal_ajax_fetch_events' );
@@ -70,28 +70,66 @@ class GCal_Cache {
         return delete_transient( $cache_key );
     }
 
+    /**
+     * Get when a cache entry was stored.
+     *
+     * Derived from the transient's expiry, so it is only known when transients
+     * live in the options table (not in an external object cache).
+     *
+     * @param string $key Cache key.
+     * @return int|false Unix timestamp, or false if unknown.
+     */
+    public function get_cached_time( $key ) {
+        if ( wp_using_ext_object_cache() || $this->get( $key ) === false ) {
+            return false;
+        }
+
+        $timeout = get_option( '_transient_timeout_' . $this->get_cache_key( $key ) );
+
+        return $timeout ? (int) $timeout - $this->get_cache_duration() : false;
+    }
+
     /**
      * Generate cache key based on parameters.
      *
-     * @param string $period Period: 'week', 'month', or 'year'.
+     * Users who may see untagged events get their own entries, so those
+     * events are never served from the cache to anyone else.
+     *
+     * @param string $period Period: 'day', 'week', 'month', 'year', 'upcoming', or 'future'.
      * @param array  $tags   Optional. Array of tags.
      * @param int    $year   Optional. Specific year.
      * @param int    $month  Optional. Specific month (1-12).
      * @param int    $week   Optional. Specific week number.
+     * @param int    $day    Optional. Specific day of month.
+     * @param int    $days   Optional. Number of days in an upcoming window.
+     * @param string $start  Optional. Start of an explicit range, normalized by the caller.
+     * @param string $end    Optional. End of an explicit range, normalized by the caller.
      * @return string Cache key.
      */
-    public function generate_key( $period, $tags = array(), $year = null, $month = null, $week = null ) {
+    public function generate_key( $period, $tags = array(), $year = null, $month = null, $week = null, $day = null, $days = null, $start = null, $end = null ) {
         $oauth       = new GCal_OAuth();
         $calendar_id = $oauth->get_selected_calendar_id();
 
         // Sort tags for consistent cache keys
         sort( $tags );
 
-        // Add week/month/year/future to cache key to handle different time ranges
+        // Add day/week/month/year/future to cache key to handle different time ranges
         $date_key = '';
-        if ( $period === 'future' ) {
+        if ( $start && $end ) {
+            // An explicit range replaces the period's window
+            $date_key = $start . '/' . $end;
+        } elseif ( $period === 'future' ) {
             // For future period, use current date as part of key so cache updates daily
             $date_key = gmdate( 'Y-m-d' );
+        } elseif ( $period === 'upcoming' ) {
+            $start_key = ( $year && $month && $day ) ? sprintf( '%d-%02d-%02d', $year, $month, $day ) : wp_date( 'Y-m-d' );
+            $date_key  = sprintf( '%s+%dd', $start_key, $days ? $days : 14 );
+        } elseif ( $period === 'day' ) {
+            if ( $year && $month && $day ) {
+                $date_key = sprintf( '%d-%02d-%02d', $year, $month, $day );
+            } else {
+                $date_key = wp_date( 'Y-m-d' );
+            }
         } elseif ( $period === 'week' ) {
             if ( $year && $month ) {
                 $date_key = sprintf( '%d-W%02d', $year, $week ? $week : 1 );
@@ -122,6 +160,7 @@ class GCal_Cache {
             $period,
             $date_key,
             implode( '_', $tags ),
+            GCal_Capabilities::can_view_untagged() ? 'all' : 'tagged',
         );
 
         // Use SHA-256 instead of MD5 for better security practices
@@ -9,6 +9,16 @@
 
 class GCal_Calendar {
 
+    /**
+     * Longest explicit date range accepted, in days (the "future" period spans three years).
+     */
+    const MAX_RANGE_DAYS = 1100;
+
+    /**
+     * Option storing the selected calendar's timezone.
+     */
+    const OPTION_TIMEZONE = 'gcal_tag_filter_calendar_timezone';
+
     /**
      * OAuth handler instance.
      *
@@ -42,25 +52,40 @@ class GCal_Calendar {
     /**
      * Get events for a specific period.
      *
-     * @param string $period Period: 'week', 'month', 'year', or 'future'.
+     * @param string $period Period: 'day', 'week', 'month', 'year', 'upcoming', or 'future'
+     *                       ('range' by convention when $start and $end are given).
      * @param array  $tags   Optional. Array of tags to filter by.
      * @param int    $year   Optional. Specific year to fetch events for.
      * @param int    $month  Optional. Specific month to fetch events for (1-12).
      * @param int    $week   Optional. Specific week number.
+     * @param int    $day    Optional. Specific day of month.
+     * @param int    $days   Optional. Number of days in an upcoming window.
+     * @param string $start  Optional. ISO 8601 start date or date-time; with $end, replaces the period's window.
+     * @param string $end    Optional. ISO 8601 end date or date-time (exclusive).
      * @return array|WP_Error Array of events or WP_Error on failure.
      */
-    public function get_events( $period, $tags = array(), $year = null, $month = null, $week = null ) {
+    public function get_events( $period, $tags = array(), $year = null, $month = null, $week = null, $day = null, $days = null, $start = null, $end = null ) {
         if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
             error_log( '=== GCal Get Events ===' );
             error_log( 'Period: ' . $period . ', Tags: ' . ( empty( $tags ) ? 'NONE' : implode( ',', $tags ) ) );
         }
 
+        // Normalize an explicit range so equivalent requests share a cache entry
+        if ( $start || $end ) {
+            $range = self::parse_range( $start, $end );
+            if ( is_wp_error( $range ) ) {
+                return $range;
+            }
+            $start = $range['start']->format( DateTime::RFC3339 );
+            $end   = $range['end']->format( DateTime::RFC3339 );
+        }
+
         // Allow bypassing cache with query parameter for debugging
         // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only debug parameter
         $bypass_cache = isset( $_GET['gcal_debug'] ) && $_GET['gcal_debug'] === '1';
 
         // Check cache first
-        $cache_key = $this->cache->generate_key( $period, $tags, $year, $month, $week );
+        $cache_key = $this->cache->generate_key( $period, $tags, $year, $month, $week, $day, $days, $start, $end );
         $cached_events = $this->cache->get( $cache_key );
 
         if ( $cached_events !== false && ! $bypass_cache ) {
@@ -75,7 +100,7 @@ class GCal_Calendar {
         }
 
         // Fetch from API
-        $events = $this->fetch_events_from_api( $period, $year, $month, $week );
+        $events = $this->fetch_events_from_api( $period, $year, $month, $week, $day, $days, $start, $end );
 
         if ( is_wp_error( $events ) ) {
             if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
@@ -128,16 +153,97 @@ class GCal_Calendar {
         return $processed_events;
     }
 
+    /**
+     * Parse and validate an explicit date range.
+     *
+     * Accepts ISO 8601 dates ("2025-03-01", midnight in the site timezone) or
+     * date-times ("2025-03-01T09:00:00+01:00"; without an offset, the site
+     * timezone is assumed). The end is exclusive.
+     *
+     * @param string $start Range start.
+     * @param string $end   Range end (exclusive).
+     * @return array|WP_Error Array with 'start' and 'end' DateTime objects, or WP_Error if invalid.
+     */
+    public static function parse_range( $start, $end ) {
+        $start_date = self::parse_iso_date( $start );
+        $end_date   = self::parse_iso_date( $end );
+
+        if ( ! $start_date || ! $end_date ) {
+            return new WP_Error(
+                'invalid_range',
+                __( 'The start and end of the date range must be ISO 8601 dates.', 'gcal-tag-filter' )
+            );
+        }
+
+        if ( $end_date <= $start_date ) {
+            return new WP_Error(
+                'invalid_range',
+                __( 'The end of the date range must be after its start.', 'gcal-tag-filter' )
+            );
+        }
+
+        if ( $start_date->diff( $end_date )->days > self::MAX_RANGE_DAYS ) {
+            return new WP_Error(
+                'invalid_range',
+                sprintf(
+                    /* translators: %d: maximum number of days */
+                    __( 'The date range cannot be longer than %d days.', 'gcal-tag-filter' ),
+                    self::MAX_RANGE_DAYS
+                )
+            );
+        }
+
+        return array(
+            'start' => $start_date,
+            'end'   => $end_date,
+        );
+    }
+
+    /**
+     * Parse an ISO 8601 date or date-time.
+     *
+     * @param string $value Date ("Y-m-d") or date-time, with or without offset.
+     * @return DateTime|null Parsed date, or null if the value is not ISO 8601.
+     */
+    private static function parse_iso_date( $value ) {
+        if ( ! is_string( $value ) ) {
+            return null;
+        }
+
+        $formats = array(
+            '!Y-m-d',
+            'Y-m-d\TH:i:sP',
+            'Y-m-d\TH:i:s.uP',
+            'Y-m-d\TH:i:s',
+            'Y-m-d\TH:i',
+        );
+
+        foreach ( $formats as $format ) {
+            $date = DateTime::createFromFormat( $format, $value, wp_timezone() );
+            $errors = DateTime::getLastErrors();
+
+            if ( $date && ( ! $errors || ( ! $errors['warning_count'] && ! $errors['error_count'] ) ) ) {
+                return $date;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Fetch events from Google Calendar API.
      *
-     * @param string $period Period: 'week', 'month', 'year', or 'future'.
+     * @param string $period Period: 'day', 'week', 'month', 'year', 'upcoming', or 'future'.
      * @param int    $year   Optional. Specific year to fetch events for.
      * @param int    $month  Optional. Specific month to fetch events for (1-12).
      * @param int    $week   Optional. Specific week number.
+     * @param int    $day    Optional. Specific day of month.
+     * @param int    $days   Optional. Number of days in an upcoming window.
+     * @param string $start  Optional. RFC 3339 start of an explicit range.
+     * @param string $end    Optional. RFC 3339 end of an explicit range (exclusive).
      * @return array|WP_Error Array of events or WP_Error on failure.
      */
-    private function fetch_events_from_api( $period, $year = null, $month = null, $week = null ) {
+    private function fetch_events_from_api( $period, $year = null, $month = null, $week = null, $day = null, $days = null, $start = null, $end = null ) {
         if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
             error_log( '=== GCal Fetch Events ===' );
         }
@@ -173,7 +279,7 @@ class GCal_Calendar {
             $service = new Google_Service_Calendar( $client );
 
             // Calculate time range based on period
-            list( $time_min, $time_max ) = $this->get_time_range( $period, $year, $month, $week );
+            list( $time_min, $time_max ) = $this->get_time_range( $period, $year, $month, $week, $day, $days, $start, $end );
             if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
                 error_log( 'Time range: ' . $time_min . ' to ' . ( $time_max ? $time_max : 'FUTURE' ) );
             }
@@ -222,6 +328,9 @@ class GCal_Calendar {
 
             } while ( $page_token && $page_count < 10 ); // Limit to 10 pages (2500 events max) for safety
 
+            // Events without a timezone of their own are in the calendar's
+            $this->save_calendar_timezone( $events->getTimeZone() );
+
             $items = $all_items;
 
             if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
@@ -262,13 +371,22 @@ class GCal_Calendar {
     /**
      * Get time range for period.
      *
-     * @param string $period Period: 'week', 'month', 'year', or 'future'.
+     * @param string $period Period: 'day', 'week', 'month', 'year', 'upcoming', or 'future'.
      * @param int    $year   Optional. Specific year to fetch events for.
      * @param int    $month  Optional. Specific month to fetch events for (1-12).
      * @param int    $week   Optional. Specific week number.
+     * @param int    $day    Optional. Specific day of month.
+     * @param int    $days   Optional. Number of days in an upcoming window.
+     * @param string $start  Optional. RFC 3339 start of an explicit range.
+     * @param string $end    Optional. RFC 3339 end of an explicit range (exclusive).
      * @return array Array with timeMin and timeMax.
      */
-    private function get_time_range( $period, $year = null, $month = null, $week = null ) {
+    private function get_time_range( $period, $year = null, $month = null, $week = null, $day = null, $days = null, $start = null, $end = null ) {
+        // An explicit range wins over the period's window (timeMax is exclusive, like $end)
+        if ( $start && $end ) {
+            return array( $start, $end );
+        }
+
         // Use provided year or current year
         $target_year = $year ? $year : (int) gmdate( 'Y' );
         $target_month = $month ? $month : (int) gmdate( 'n' );
@@ -295,6 +413,36 @@ class GCal_Calendar {
                 $time_max = $end_time->format( DateTime::RFC3339 );
                 break;
 
+            case 'day':
+                // A single day is bounded in the site timezone, otherwise early-morning
+                // or late-evening events fall on the wrong side of a UTC midnight
+                $start_of_day = new DateTime( 'now', wp_timezone() );
+                if ( $year && $month && $day ) {
+                    $start_of_day->setDate( $target_year, $target_month, $day );
+                }
+                $start_of_day->setTime( 0, 0, 0 );
+                $time_min = $start_of_day->format( DateTime::RFC3339 );
+
+                $end_of_day = clone $start_of_day;
+                $end_of_day->setTime( 23, 59, 59 );
+                $time_max = $end_of_day->format( DateTime::RFC3339 );
+                break;
+
+            case 'upcoming':
+                // Rolling window of N days from the start day, in the site timezone
+                $window_start = new DateTime( 'now', wp_timezone() );
+                if ( $year && $month && $day ) {
+                    $window_start->setDate( $target_year, $target_month, $day );
+                }
+                $window_start->setTime( 0, 0, 0 );
+                $time_min = $window_start->format( DateTime::RFC3339 );
+
+                $window_end = clone $window_start;
+                $window_end->modify( '+' . ( $days ? $days : 14 ) . ' days' );
+                $window_end->modify( '-1 second' );
+                $time_max = $window_end->format( DateTime::RFC3339 );
+                break;
+
             case 'week':
                 // Calculate the Monday of the specified week
                 if ( $year && $month && $week ) {
@@ -348,18 +496,22 @@ class GCal_Calendar {
                 break;
 
             case 'month':
-                // Get start of month - use setDate for reliability
-                $start_of_month = new DateTime( 'now', new DateTimeZone( 'UTC' ) );
-                $start_of_month->setDate( $target_year, $target_month, 1 );
-                $start_of_month->setTime( 0, 0, 0 );
-                $time_min = $start_of_month->format( DateTime::RFC3339 );
-
-                // Get end of month - calculate last day
-                $end_of_month = clone $start_of_month;
-                $last_day = (int) $end_of_month->format( 't' ); // Days in month
-                $end_of_month->setDate( $target_year, $target_month, $last_day );
-                $end_of_month->setTime( 23, 59, 59 );
-                $time_max = $end_of_month->format( DateTime::RFC3339 );
+                // The month grid shows six whole weeks, including days of the
+                // previous and next month, so fetch all of them in the site timezone.
+                // This MUST match render_month_view() and getMonthGridRange() in JS.
+                $grid_start = new DateTime( 'now', wp_timezone() );
+                $grid_start->setDate( $target_year, $target_month, 1 );
+                $grid_start->setTime( 0, 0, 0 );
+
+                $week_starts_on = (int) get_option( 'start_of_week', 1 ); // 0=Sunday, 1=Monday, etc.
+                $days_back = ( (int) $grid_start->format( 'w' ) - $week_starts_on + 7 ) % 7;
+                $grid_start->modify( '-' . $days_back . ' days' );
+                $time_min = $grid_start->format( DateTime::RFC3339 );
+
+                $grid_end = clone $grid_start;
+                $grid_end->modify( '+42 days' );
+                $grid_end->modify( '-1 second' );
+                $time_max = $grid_end->format( DateTime::RFC3339 );
                 break;
 
             case 'year':
@@ -410,6 +562,7 @@ class GCal_Calendar {
 
             $start_time = $is_all_day ? $start->date : $start->dateTime;
             $end_time   = $is_all_day ? $end->date : $end->dateTime;
+            $timezone   = ! empty( $start->timeZone ) ? $start->timeZone : self::get_calendar_timezone();
 
             // Get location
             $location = $event->getLocation() ?? '';
@@ -427,6 +580,7 @@ class GCal_Calendar {
                 'start'            => $start_time,
                 'end'              => $end_time,
                 'is_all_day'       => $is_all_day,
+                'timezone'         => $timezone,
                 'tags'             => $valid_tags,
                 'invalid_tags'     => $invalid_tags,
                 'is_untagged'      => $has_no_tags,
@@ -439,6 +593,41 @@ class GCal_Calendar {
         return $processed;
     }
 
+    /**
+     * Get the timezone of the selected calendar.
+     *
+     * Known once events have been fetched; until then the site timezone
+     * stands in for it (UTC if the site uses a fixed offset).
+     *
+     * @return string IANA timezone name.
+     */
+    public static function get_calendar_timezone() {
+        $timezone = get_option( self::OPTION_TIMEZONE, '' );
+
+        if ( $timezone ) {
+            return $timezone;
+        }
+
+        $site_timezone = wp_timezone_string();
+
+        return in_array( $site_timezone, timezone_identifiers_list(), true ) ? $site_timezone : 'UTC';
+    }
+
+    /**
+     * Remember the timezone of the selected calendar.
+     *
+     * @param string $timezone IANA timezone name reported by the API.
+     */
+    private function save_calendar_timezone( $timezone ) {
+        if ( ! $timezone || ! in_array( $timezone, timezone_identifiers_list(), true ) ) {
+            return;
+        }
+
+        if ( get_option( self::OPTION_TIMEZONE ) !== $timezone ) {
+            update_option( self::OPTION_TIMEZONE, $timezone, false );
+        }
+    }
+
     /**
      * Filter events by tags.
      *
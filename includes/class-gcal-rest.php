@@ -0,0 +1,227 @@
+<?php
+/**
+ * REST API
+ *
+ * Read-only REST route serving events to the calendar navigation.
+ *
+ * @package GCal_Tag_Filter
+ */
+
+class GCal_REST {
+
+    /**
+     * Route namespace.
+     */
+    const ROUTE_NAMESPACE = 'gcal-tag-filter/v1';
+
+    /**
+     * Constructor.
+     */
+    public function __construct() {
+        add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+    }
+
+    /**
+     * Register the events route.
+     */
+    public function register_routes() {
+        register_rest_route(
+            self::ROUTE_NAMESPACE,
+            '/events',
+            array(
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => array( $this, 'get_events' ),
+                // Public events only; untagged ones still need gcal_view_untagged
+                'permission_callback' => '__return_true',
+                'args'                => array(
+                    'start' => array(
+                        'description' => __( 'Start of the range (ISO 8601 date or date-time).', 'gcal-tag-filter' ),
+                        'type'        => 'string',
+                        'required'    => true,
+                    ),
+                    'end'   => array(
+                        'description' => __( 'End of the range, exclusive (ISO 8601 date or date-time).', 'gcal-tag-filter' ),
+                        'type'        => 'string',
+                        'required'    => true,
+                    ),
+                    'tags'  => array(
+                        'description'       => __( 'Comma-separated tags to filter by.', 'gcal-tag-filter' ),
+                        'type'              => 'string',
+                        'default'           => '',
+                        'sanitize_callback' => array( $this, 'sanitize_tags' ),
+                    ),
+                ),
+            )
+        );
+    }
+
+    /**
+     * Get the events of a range.
+     *
+     * Responses carry an ETag (hash of the events) and, when the events come
+     * from the server cache, a Last-Modified date (when that entry was
+     * filled). A matching If-None-Match, or
+     * If-Modified-Since when no ETag is sent, gets an empty 304 response.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response|WP_Error Events or error.
+     */
+    public function get_events( $request ) {
+        $range = GCal_Calendar::parse_range( $request['start'], $request['end'] );
+
+        if ( is_wp_error( $range ) ) {
+            return new WP_Error( $range->get_error_code(), $range->get_error_message(), array( 'status' => 400 ) );
+        }
+
+        $start = $range['start']->format( DateTime::RFC3339 );
+        $end   = $range['end']->format( DateTime::RFC3339 );
+        $tags  = $request['tags'];
+
+        $calendar = new GCal_Calendar();
+        $events   = $calendar->get_events( 'range', $tags, null, null, null, null, null, $start, $end );
+
+        if ( is_wp_error( $events ) ) {
+            return new WP_Error( $events->get_error_code(), $events->get_error_message(), array( 'status' => 502 ) );
+        }
+
+        $js_events = self::prepare_events( $events );
+
+        $cache         = new GCal_Cache();
+        $cached_time   = $cache->get_cached_time( $cache->generate_key( 'range', $tags, null, null, null, null, null, $start, $end ) );
+        $last_modified = $cached_time ? (int) $cached_time : null;
+        $etag          = '"' . md5( wp_json_encode( $js_events ) ) . '"';
+
+        $headers = array(
+            'ETag'          => $etag,
+            'Cache-Control' => $this->get_cache_control( $cache->get_cache_duration() ),
+            // Logged-in users may get untagged events on the same URL
+            'Vary'          => 'Cookie',
+        );
+
+        // Without a server cache time there is no honest date to send; the ETag alone validates
+        if ( $last_modified ) {
+            $headers['Last-Modified'] = gmdate( 'D, d M Y H:i:s', $last_modified ) . ' GMT';
+        }
+
+        if ( $this->is_not_modified( $request, $etag, $last_modified ) ) {
+            return new WP_REST_Response( null, 304, $headers );
+        }
+
+        return new WP_REST_Response( $js_events, 200, $headers );
+    }
+
+    /**
+     * Sanitize the tags parameter.
+     *
+     * Tags follow the shortcode's format (letters, numbers, hyphens,
+     * underscores and * wildcards). Anything else is dropped.
+     *
+     * @param string $tags Comma-separated tags.
+     * @return array Uppercase tags.
+     */
+    public function sanitize_tags( $tags ) {
+        $tags = array_filter( array_map( 'trim', explode( ',', (string) $tags ) ) );
+
+        $tags = array_filter(
+            $tags,
+            function ( $tag ) {
+                return (bool) preg_match( '/^[A-Z0-9_\-\*]+$/i', $tag );
+            }
+        );
+
+        return array_values( array_unique( array_map( 'strtoupper', $tags ) ) );
+    }
+
+    /**
+     * Prepare events for JavaScript.
+     *
+     * @param array $events Array of events.
+     * @return array Events in the format used by the calendar scripts.
+     */
+    public static function prepare_events( $events ) {
+        $prepared = array_map(
+            function( $event ) {
+                // Get category display names
+                $category_names = array();
+                if ( ! empty( $event['tags'] ) ) {
+                    foreach ( $event['tags'] as $tag ) {
+                        $category_names[] = GCal_Categories::get_category_display_name( $tag );
+                    }
+                }
+
+                return array(
+                    'id'             => $event['id'],
+                    'title'          => $event['title'],
+                    'description'    => $event['description'], // Keep as plain text - JavaScript will format it
+                    'location'       => $event['location'],
+                    'start'          => $event['start'],
+                    'end'            => $event['end'],
+                    'isAllDay'       => $event['is_all_day'],
+                    'timezone'       => isset( $event['timezone'] ) ? $event['timezone'] : GCal_Calendar::get_calendar_timezone(),
+                    'tags'           => $event['tags'],
+                    'invalidTags'    => isset( $event['invalid_tags'] ) ? $event['invalid_tags'] : array(),
+                    'categoryNames'  => $category_names,
+                    'mapLink'        => $event['map_link'],
+                    'htmlLink'       => $event['html_link'],
+                );
+            },
+            $events
+        );
+
+        // Reindex array to ensure sequential keys for proper JSON array encoding
+        return array_values( $prepared );
+    }
+
+    /**
+     * Check the request's conditional headers.
+     *
+     * @param WP_REST_Request $request       Request.
+     * @param string          $etag          Current ETag.
+     * @param int|null        $last_modified Current Last-Modified timestamp, or null if unknown.
+     * @return bool True if the client's copy is still valid.
+     */
+    private function is_not_modified( $request, $etag, $last_modified ) {
+        $if_none_match = $request->get_header( 'if_none_match' );
+
+        // If-None-Match takes precedence over If-Modified-Since
+        if ( $if_none_match ) {
+            $client_etags = array_map( 'trim', explode( ',', $if_none_match ) );
+
+            // Weak validators (W/"...") are added by some proxies when compressing
+            foreach ( $client_etags as $client_etag ) {
+                if ( '*' === $client_etag || preg_replace( '/^W\//', '', $client_etag ) === $etag ) {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        $if_modified_since = $request->get_header( 'if_modified_since' );
+
+        if ( $if_modified_since ) {
+            $since = strtotime( $if_modified_since );
+            return $since && $last_modified && $last_modified <= $since;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the Cache-Control header of an events response.
+     *
+     * Logged-in users may see untagged events, so their responses are never
+     * stored by shared caches; the Vary: Cookie header sent with every
+     * response keeps those caches from serving public ones to them.
+     *
+     * @param int $duration Server cache duration in seconds.
+     * @return string Header value.
+     */
+    private function get_cache_control( $duration ) {
+        if ( ! $duration ) {
+            return 'no-cache';
+        }
+
+        return sprintf( '%s, max-age=%d', is_user_logged_in() ? 'private' : 'public', $duration );
+    }
+}
@@ -23,6 +23,20 @@ class GCal_Shortcode {
      */
     private $display;
 
+    /**
+     * URL parameters read by every calendar before they were namespaced.
+     *
+     * @var string[]
+     */
+    const LEGACY_PARAMS = array( 'view', 'display', 'category', 'year', 'month', 'week', 'day' );
+
+    /**
+     * URL parameter prefixes claimed on the current page, with the attributes hash of their calendar.
+     *
+     * @var array
+     */
+    private static $url_prefixes = array();
+
     /**
      * Constructor.
      */
@@ -50,6 +64,9 @@ class GCal_Shortcode {
                 'show_categories'    => 'false',    // Show category sidebar
                 'show_display_style' => 'false',    // Show display style toggle
                 'hide_past'          => 'false',    // Hide past events in list view
+                'days'               => '14',       // Window length for the upcoming period
+                'id'                 => '',         // Optional name for this calendar's URL parameters
+                'locale'             => '',         // Optional locale for dates, e.g. de_DE (default: site locale)
             ),
             $atts,
             'gcal_embed'
@@ -62,11 +79,13 @@ class GCal_Shortcode {
         $show_categories    = filter_var( $atts['show_categories'], FILTER_VALIDATE_BOOLEAN );
         $show_display_style = filter_var( $atts['show_display_style'], FILTER_VALIDATE_BOOLEAN );
         $hide_past          = filter_var( $atts['hide_past'], FILTER_VALIDATE_BOOLEAN );
+        $days               = $this->validate_days( $atts['days'] );
+        $url_prefix         = $this->get_url_prefix( $atts );
+        $locale             = $this->validate_locale( $atts['locale'] );
 
         // Check for URL parameter override (from view toggle)
-        if ( isset( $_GET['gcal_view'] ) ) {
-            // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public parameter for calendar navigation
-            $url_period = sanitize_text_field( wp_unslash( $_GET['gcal_view'] ) );
+        $url_period = $this->get_url_param( $url_prefix, 'view' );
+        if ( null !== $url_period ) {
             $validated_url_period = $this->validate_period( $url_period );
             if ( $validated_url_period ) {
                 $period = $validated_url_period;
@@ -74,9 +93,8 @@ class GCal_Shortcode {
         }
 
         // Check for URL parameter for display style toggle
-        if ( isset( $_GET['gcal_display'] ) && $show_display_style ) {
-            // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public parameter for display style
-            $url_view = sanitize_text_field( wp_unslash( $_GET['gcal_display'] ) );
+        $url_view = $this->get_url_param( $url_prefix, 'display' );
+        if ( null !== $url_view && $show_display_style ) {
             $validated_url_view = $this->validate_view( $url_view );
             if ( $validated_url_view ) {
                 $view = $validated_url_view;
@@ -85,9 +103,9 @@ class GCal_Shortcode {
 
         // Check for URL parameter for category filter
         $selected_category = '';
-        if ( isset( $_GET['gcal_category'] ) ) {
-            // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public parameter for category filtering
-            $selected_category = sanitize_text_field( wp_unslash( $_GET['gcal_category'] ) );
+        $url_category = $this->get_url_param( $url_prefix, 'category' );
+        if ( null !== $url_category ) {
+            $selected_category = $url_category;
         } elseif ( ! empty( $tags ) ) {
             // Pre-select the first tag if specified in shortcode
             // UNLESS it's a wildcard pattern - wildcards should show "All categories" as active
@@ -118,12 +136,15 @@ class GCal_Shortcode {
         }
 
         // Read date parameters from URL
-        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public parameters for calendar navigation
-        $url_year  = isset( $_GET['gcal_year'] ) ? intval( $_GET['gcal_year'] ) : null;
-        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public parameters for calendar navigation
-        $url_month = isset( $_GET['gcal_month'] ) ? intval( $_GET['gcal_month'] ) : null;
-        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public parameters for calendar navigation
-        $url_week  = isset( $_GET['gcal_week'] ) ? intval( $_GET['gcal_week'] ) : null;
+        $url_year  = $this->get_url_int_param( $url_prefix, 'year' );
+        $url_month = $this->get_url_int_param( $url_prefix, 'month' );
+        $url_week  = $this->get_url_int_param( $url_prefix, 'week' );
+        $url_day   = $this->get_url_int_param( $url_prefix, 'day' );
+
+        // The upcoming agenda always starts today or later
+        if ( $period === 'upcoming' ) {
+            list( $url_year, $url_month, $url_day ) = $this->get_upcoming_start( $url_year, $url_month, $url_day );
+        }
 
         // DEBUG: Add visible output to page
         $debug_output = '<!-- DEBUG: URL params - year=' . ( $url_year ? $url_year : 'NULL' ) . ', month=' . ( $url_month ? $url_month : 'NULL' ) . ', week=' . ( $url_week ? $url_week : 'NULL' ) . ', period=' . $period . ' -->';
@@ -153,7 +174,7 @@ class GCal_Shortcode {
             $events = array();
         } else {
             // Fetch events
-            $events = $this->calendar->get_events( $period, $tags, $url_year, $url_month, $url_week );
+            $events = $this->calendar->get_events( $period, $tags, $url_year, $url_month, $url_week, $url_day, $days );
         }
 
         // Debug events count
@@ -186,12 +207,21 @@ class GCal_Shortcode {
             $debug_output .= '<!-- DEBUG: Found ' . count( $events ) . ' events -->';
         }
 
+        // Server-rendered dates and labels follow the shortcode's locale when it is installed
+        $switched_locale = $locale && $locale !== determine_locale() && switch_to_locale( $locale );
+
         // Render appropriate view
         if ( $view === 'calendar' ) {
-            return $debug_output . $this->display->render_calendar_view( $events, $period, $tags, $show_categories, $selected_category, $show_display_style, $view, $url_year, $url_month, $url_week );
+            $output = $this->display->render_calendar_view( $events, $period, $tags, $show_categories, $selected_category, $show_display_style, $view, $url_year, $url_month, $url_week, $url_day, $days, $hide_past, $url_prefix, $locale );
         } else {
-            return $debug_output . $this->display->render_list_view( $events, $period, $tags, $show_categories, $selected_category, $show_display_style, $view, $url_year, $url_month, $url_week, $hide_past );
+            $output = $this->display->render_list_view( $events, $period, $tags, $show_categories, $selected_category, $show_display_style, $view, $url_year, $url_month, $url_week, $hide_past, $url_day, $days, $url_prefix, $locale );
         }
+
+        if ( $switched_locale ) {
+            restore_previous_locale();
+        }
+
+        return $debug_output . $output;
     }
 
     /**
@@ -215,12 +245,12 @@ class GCal_Shortcode {
      * Validate period parameter.
      *
      * @param string $period Period value.
-     * @return string Validated period ('week', 'month', 'year', or 'future').
+     * @return string Validated period ('day', 'week', 'month', 'year', 'upcoming', or 'future').
      */
     private function validate_period( $period ) {
         $period = strtolower( trim( $period ) );
 
-        if ( in_array( $period, array( 'week', 'month', 'year', 'future' ), true ) ) {
+        if ( in_array( $period, array( 'day', 'week', 'month', 'year', 'upcoming', 'future' ), true ) ) {
             return $period;
         }
 
@@ -228,6 +258,153 @@ class GCal_Shortcode {
         return 'year';
     }
 
+    /**
+     * Validate locale parameter.
+     *
+     * @param string $locale Locale such as 'de', 'de_DE' or 'de-DE'.
+     * @return string WordPress locale (e.g. 'de_DE'), or empty string if invalid or not set.
+     */
+    private function validate_locale( $locale ) {
+        if ( ! preg_match( '/^([a-z]{2,3})(?:[_-]([a-z]{2}))?$/i', trim( $locale ), $matches ) ) {
+            return '';
+        }
+
+        return strtolower( $matches[1] ) . ( ! empty( $matches[2] ) ? '_' . strtoupper( $matches[2] ) : '' );
+    }
+
+    /**
+     * Validate days parameter.
+     *
+     * @param string $days Number of days in the upcoming window.
+     * @return int Validated number of days (1-90).
+     */
+    private function validate_days( $days ) {
+        $days = absint( $days );
+
+        if ( $days < 1 ) {
+            // Default to two weeks
+            return 14;
+        }
+
+        return min( $days, 90 );
+    }
+
+    /**
+     * Get the prefix of this calendar's URL parameters.
+     *
+     * A shortcode with the id attribute uses gcal_{id}_*. Otherwise the key is
+     * derived from the shortcode's attributes, so it stays the same however
+     * many times the content is rendered (excerpts, SEO meta, page builders)
+     * and whatever the calendar's position on the page. Identical shortcodes
+     * share their parameters.
+     *
+     * An id already used by a different calendar on the page is rejected in
+     * favour of the derived key. Calendars without an id still follow links
+     * made with the plain gcal_* parameters of earlier versions.
+     *
+     * @param array $atts Shortcode attributes, after shortcode_atts().
+     * @return string Parameter prefix, e.g. 'gcal_talks_' or 'gcal_3f9a1c02_'.
+     */
+    private function get_url_prefix( $atts ) {
+        $signature = md5( wp_json_encode( $atts ) );
+        $auto_key  = substr( $signature, 0, 8 );
+        $key       = sanitize_key( $atts['id'] );
+
+        if ( '' !== $key ) {
+            $claimed = self::$url_prefixes[ 'gcal_' . $key . '_' ] ?? $signature;
+
+            if ( $claimed !== $signature ) {
+                if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+                    error_log( 'GCal Shortcode: id "' . $key . '" is already used by another calendar on this page' );
+                }
+                $key = $auto_key;
+            }
+        } else {
+            $key = $auto_key;
+
+            if ( ! $this->has_url_params( 'gcal_' . $key . '_' ) && $this->has_url_params( 'gcal_' ) ) {
+                return 'gcal_';
+            }
+        }
+
+        $prefix = 'gcal_' . $key . '_';
+        self::$url_prefixes[ $prefix ] = $signature;
+
+        return $prefix;
+    }
+
+    /**
+     * Check whether the URL carries any calendar parameter with a prefix.
+     *
+     * @param string $prefix Parameter prefix, e.g. 'gcal_'.
+     * @return bool True if at least one parameter is present.
+     */
+    private function has_url_params( $prefix ) {
+        foreach ( self::LEGACY_PARAMS as $name ) {
+            if ( null !== $this->get_url_param( $prefix, $name ) ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Read one of this calendar's URL parameters.
+     *
+     * @param string $prefix Parameter prefix from get_url_prefix().
+     * @param string $name   Parameter name without prefix, e.g. 'year'.
+     * @return string|null Sanitized value, or null when absent.
+     */
+    private function get_url_param( $prefix, $name ) {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public parameters for calendar navigation
+        if ( ! isset( $_GET[ $prefix . $name ] ) ) {
+            return null;
+        }
+
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public parameters for calendar navigation
+        return sanitize_text_field( wp_unslash( $_GET[ $prefix . $name ] ) );
+    }
+
+    /**
+     * Read one of this calendar's numeric URL parameters.
+     *
+     * @param string $prefix Parameter prefix from get_url_prefix().
+     * @param string $name   Parameter name without prefix, e.g. 'year'.
+     * @return int|null Integer value, or null when absent.
+     */
+    private function get_url_int_param( $prefix, $name ) {
+        $value = $this->get_url_param( $prefix, $name );
+
+        return null !== $value ? intval( $value ) : null;
+    }
+
+    /**
+     * Get the first day of the upcoming agenda.
+     *
+     * Uses the requested date when it is today or later, otherwise today.
+     *
+     * @param int $year  Requested year.
+     * @param int $month Requested month (1-12).
+     * @param int $day   Requested day of month.
+     * @return array Array with year, month and day.
+     */
+    private function get_upcoming_start( $year, $month, $day ) {
+        $today = new DateTime( 'now', wp_timezone() );
+        $today->setTime( 0, 0, 0 );
+
+        if ( $year && $month && $day ) {
+            $start = clone $today;
+            $start->setDate( $year, $month, $day );
+
+            if ( $start > $today ) {
+                $today = $start;
+            }
+        }
+
+        return array( (int) $today->format( 'Y' ), (int) $today->format( 'n' ), (int) $today->format( 'j' ) );
+    }
+
     /**
      * Parse and validate tags parameter.
      *
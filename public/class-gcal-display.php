@@ -53,9 +53,14 @@ class GCal_Display {
      * @param int    $url_year Optional year parameter.
      * @param int    $url_month Optional month parameter.
      * @param int    $url_week Optional week parameter.
+     * @param int    $url_day Optional day parameter.
+     * @param int    $days Optional number of days in the upcoming window.
+     * @param bool   $hide_past Optional. Hide past events once switched to list display. Default false.
+     * @param string $url_prefix Optional. Prefix of this instance's URL parameters. Default 'gcal_'.
+     * @param string $locale Optional. WordPress locale dates are formatted in. Default the site locale.
      * @return string HTML output.
      */
-    public function render_calendar_view( $events, $period, $tags, $show_categories = false, $selected_category = '', $show_display_style = false, $current_view = 'calendar', $url_year = null, $url_month = null, $url_week = null ) {
+    public function render_calendar_view( $events, $period, $tags, $show_categories = false, $selected_category = '', $show_display_style = false, $current_view = 'calendar', $url_year = null, $url_month = null, $url_week = null, $url_day = null, $days = null, $hide_past = false, $url_prefix = 'gcal_', $locale = '' ) {
         // Generate unique ID for this calendar instance
         $instance_id = 'gcal-' . uniqid();
 
@@ -73,20 +78,32 @@ class GCal_Display {
             ) );
         }
 
+        // Category counts cover the month itself, not the neighbouring days of its grid
+        $sidebar_events = $period === 'month' ? $this->get_month_events( $events, $url_year, $url_month ) : $events;
+
         ob_start();
         ?>
         <div class="gcal-wrapper-with-sidebar <?php echo ( $show_categories || $show_display_style ) ? 'has-sidebar' : ''; ?>">
             <?php if ( $show_categories || $show_display_style ) : ?>
                 <?php
                 // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_sidebar returns sanitized HTML
-                echo $this->render_sidebar( $events, $selected_category, $instance_id, $show_categories, $show_display_style, $current_view );
+                echo $this->render_sidebar( $sidebar_events, $selected_category, $instance_id, $show_categories, $show_display_style, $current_view );
                 ?>
             <?php endif; ?>
 
             <div class="gcal-calendar-wrapper"
                  id="<?php echo esc_attr( $instance_id ); ?>"
                  data-period="<?php echo esc_attr( $period ); ?>"
+                 data-hide-past="<?php echo $hide_past ? 'true' : 'false'; ?>"
+                 data-url-prefix="<?php echo esc_attr( $url_prefix ); ?>"
+                 data-locale="<?php echo esc_attr( gcal_tag_filter_js_locale( $locale ) ); ?>"
+                 <?php if ( $locale ) : ?>
+                 data-date-names="<?php echo esc_attr( wp_json_encode( gcal_tag_filter_js_date_names() ) ); ?>"
+                 <?php endif; ?>
                  data-tags="<?php echo esc_attr( implode( ',', $tags ) ); ?>"
+                 <?php if ( $period === 'upcoming' ) : ?>
+                 data-days="<?php echo esc_attr( $days ); ?>"
+                 <?php endif; ?>
                  data-events="<?php echo esc_attr( $events_json ); ?>">
             <?php if ( $period !== 'future' ) : ?>
             <div class="gcal-calendar-header">
@@ -99,7 +116,17 @@ class GCal_Display {
                         ›
                     </button>
                 </div>
+                <?php
+                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_date_jump returns sanitized HTML
+                echo $this->render_date_jump();
+                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_timezone_switch returns sanitized HTML
+                echo $this->render_timezone_switch();
+                ?>
+                <?php if ( $period !== 'upcoming' ) : ?>
                 <div class="gcal-view-toggle">
+                    <button class="gcal-view-btn <?php echo $period === 'day' ? 'active' : ''; ?>" data-view="day">
+                        <?php esc_html_e( 'Day', 'gcal-tag-filter' ); ?>
+                    </button>
                     <button class="gcal-view-btn <?php echo $period === 'week' ? 'active' : ''; ?>" data-view="week">
                         <?php esc_html_e( 'Week', 'gcal-tag-filter' ); ?>
                     </button>
@@ -110,6 +137,7 @@ class GCal_Display {
                         <?php esc_html_e( 'Year', 'gcal-tag-filter' ); ?>
                     </button>
                 </div>
+                <?php endif; ?>
             </div>
             <?php endif; ?>
 
@@ -118,7 +146,17 @@ class GCal_Display {
             </div>
 
             <div class="gcal-calendar-grid" data-current-view="<?php echo esc_attr( $period ); ?>">
-                <?php if ( $period === 'week' ) : ?>
+                <?php if ( $period === 'upcoming' ) : ?>
+                    <?php
+                    // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_upcoming_view returns sanitized HTML
+                    echo $this->render_upcoming_view( $events, $url_year, $url_month, $url_day, $days, 'calendar' );
+                    ?>
+                <?php elseif ( $period === 'day' ) : ?>
+                    <?php
+                    // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_day_view returns sanitized HTML
+                    echo $this->render_day_view( $events, $url_year, $url_month, $url_day );
+                    ?>
+                <?php elseif ( $period === 'week' ) : ?>
                     <?php
                     // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_week_view returns sanitized HTML
                     echo $this->render_week_view( $events, $url_year, $url_month, $url_week );
@@ -159,23 +197,23 @@ class GCal_Display {
      * @return string HTML output.
      */
     private function render_month_view( $events, $url_year = null, $url_month = null ) {
-        // Group events by date
-        $events_by_date = $this->group_events_by_date( $events );
-
         // Use URL date if provided, otherwise current month
         if ( $url_year && $url_month ) {
-            $now = new DateTime();
+            $now = $this->get_site_datetime();
             $now->setDate( $url_year, $url_month, 1 );
         } else {
-            $now = new DateTime();
+            $now = $this->get_site_datetime();
         }
-        $month_start = new DateTime( $now->format( 'Y-m-01' ) );
-        $month_end = new DateTime( $now->format( 'Y-m-t' ) );
+        $month_start = $this->get_site_datetime( $now->format( 'Y-m-01' ) );
+        $month_end = $this->get_site_datetime( $now->format( 'Y-m-t' ) );
+
+        // $now may have moved to the URL's month; today is still today
+        $today_key = $this->get_site_datetime()->format( 'Y-m-d' );
 
         ob_start();
         ?>
-        <div class="gcal-month-view">
-            <div class="gcal-weekday-headers">
+        <div class="gcal-month-view" role="grid">
+            <div class="gcal-weekday-headers" role="row">
                 <?php
                 // Get WordPress week start setting
                 $week_starts_on = (int) get_option( 'start_of_week', 1 ); // 0=Sunday, 1=Monday, etc.
@@ -199,11 +237,11 @@ class GCal_Display {
 
                 foreach ( $weekdays as $day ) :
                     ?>
-                    <div class="gcal-weekday"><?php echo esc_html( $day ); ?></div>
+                    <div class="gcal-weekday" role="columnheader"><?php echo esc_html( $day ); ?></div>
                 <?php endforeach; ?>
             </div>
 
-            <div class="gcal-days-grid">
+            <div class="gcal-days-grid" role="rowgroup">
                 <?php
                 // Start from the first day of the week containing the 1st
                 $calendar_start = clone $month_start;
@@ -218,10 +256,21 @@ class GCal_Display {
 
                 // Render 6 weeks (42 days)
                 for ( $i = 0; $i < 42; $i++ ) :
+                    // Lay out events one week row at a time so multi-day bars keep their lane
+                    if ( $i % 7 === 0 ) {
+                        $row_keys = array();
+                        $row_day  = clone $calendar_start;
+                        for ( $d = 0; $d < 7; $d++ ) {
+                            $row_keys[] = $row_day->format( 'Y-m-d' );
+                            $row_day->modify( '+1 day' );
+                        }
+                        $row_slots = $this->layout_event_row( $events, $row_keys );
+                    }
+
                     $date_str = $calendar_start->format( 'Y-m-d' );
                     $is_current_month = $calendar_start->format( 'Y-m' ) === $now->format( 'Y-m' );
-                    $is_today = $date_str === $now->format( 'Y-m-d' );
-                    $day_events = $events_by_date[ $date_str ] ?? array();
+                    $is_today = $date_str === $today_key;
+                    $day_slot = $row_slots[ $i % 7 ];
 
                     $classes = array( 'gcal-day' );
                     if ( ! $is_current_month ) {
@@ -230,21 +279,27 @@ class GCal_Display {
                     if ( $is_today ) {
                         $classes[] = 'gcal-day-today';
                     }
-                    if ( ! empty( $day_events ) ) {
+                    if ( $this->slot_has_events( $day_slot ) ) {
                         $classes[] = 'gcal-day-has-events';
                     }
                     ?>
-                    <div class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>" data-date="<?php echo esc_attr( $date_str ); ?>">
+                    <?php if ( $i % 7 === 0 ) : ?>
+                    <div class="gcal-week-row" role="row">
+                    <?php endif; ?>
+                    <div class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>" role="gridcell" data-date="<?php echo esc_attr( $date_str ); ?>"<?php echo $is_today ? ' aria-current="date"' : ''; ?>>
                         <div class="gcal-day-number"><?php echo esc_html( $calendar_start->format( 'j' ) ); ?></div>
                         <div class="gcal-day-events">
-                            <?php foreach ( $day_events as $event ) : ?>
-                                <?php
-                                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_event_item returns sanitized HTML
-                                echo $this->render_event_item( $event );
-                                ?>
-                            <?php endforeach; ?>
+                            <?php
+                            // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_day_slot returns sanitized HTML
+                            echo $this->render_day_slot( $day_slot );
+                            ?>
                         </div>
+                        <?php // Filled in by day-overflow.js once it knows how many events fit ?>
+                        <button type="button" class="gcal-day-more" tabindex="-1" aria-haspopup="dialog" hidden></button>
+                    </div>
+                    <?php if ( $i % 7 === 6 ) : ?>
                     </div>
+                    <?php endif; ?>
                     <?php
                     $calendar_start->modify( '+1 day' );
                 endfor;
@@ -265,11 +320,8 @@ class GCal_Display {
      * @return string HTML output.
      */
     private function render_week_view( $events, $url_year = null, $url_month = null, $url_week = null ) {
-        // Group events by date
-        $events_by_date = $this->group_events_by_date( $events );
-
-        // Initialize $now for "is today" checks later
-        $now = new DateTime();
+        // Initialize $now for the current-week fallback
+        $now = $this->get_site_datetime();
 
         $week_starts_on = (int) get_option( 'start_of_week', 1 ); // WordPress setting: 0=Sunday, 1=Monday, etc.
 
@@ -277,7 +329,7 @@ class GCal_Display {
         if ( $url_year && $url_month && $url_week ) {
             // Calculate the start day of the specified week
             // This MUST match the JavaScript logic exactly
-            $first_of_month = new DateTime();
+            $first_of_month = $this->get_site_datetime();
             $first_of_month->setDate( $url_year, $url_month, 1 );
             $first_day_weekday = (int) $first_of_month->format( 'w' ); // 0=Sunday, 1=Monday, etc.
 
@@ -306,10 +358,257 @@ class GCal_Display {
             }
         }
 
-        // Rename for compatibility with existing code
-        $monday = $week_start;
+        $days = array();
+        for ( $i = 0; $i < 7; $i++ ) {
+            $date = clone $week_start;
+            $date->modify( "+{$i} days" );
+            $days[] = $date;
+        }
+
+        return $this->render_time_grid( $events, $days );
+    }
+
+    /**
+     * Render the rolling upcoming agenda, grouped by day.
+     *
+     * Events spanning several days are listed under each of their days.
+     * This MUST match GCalNavigation.renderAgendaHTML().
+     *
+     * @param array  $events Array of events.
+     * @param int    $url_year Year of the first day.
+     * @param int    $url_month Month of the first day.
+     * @param int    $url_day First day of the window.
+     * @param int    $days Number of days in the window.
+     * @param string $display Display style: 'calendar' for agenda items, 'list' for list cards.
+     * @return string HTML output.
+     */
+    private function render_upcoming_view( $events, $url_year, $url_month, $url_day, $days, $display = 'calendar' ) {
+        $window_start = $this->get_site_datetime();
+        if ( $url_year && $url_month && $url_day ) {
+            $window_start->setDate( $url_year, $url_month, $url_day );
+        }
+        $window_start->setTime( 0, 0, 0 );
+
+        $today_key = $this->get_site_datetime()->format( 'Y-m-d' );
+
+        // One bucket per day of the window, in order
+        $buckets = array();
+        for ( $i = 0; $i < $days; $i++ ) {
+            $date = clone $window_start;
+            $date->modify( "+{$i} days" );
+            $buckets[ $date->format( 'Y-m-d' ) ] = array(
+                'date'   => $date,
+                'events' => array(),
+            );
+        }
+
+        foreach ( $events as $event ) {
+            $range = $this->get_event_day_range( $event );
+            foreach ( $buckets as $day_key => $bucket ) {
+                if ( $range['start'] <= $day_key && $range['end'] >= $day_key ) {
+                    $buckets[ $day_key ]['events'][] = $event;
+                }
+            }
+        }
+
+        $has_events = false;
+        foreach ( $buckets as $bucket ) {
+            if ( ! empty( $bucket['events'] ) ) {
+                $has_events = true;
+                break;
+            }
+        }
+
+        if ( ! $has_events ) {
+            return $this->render_empty_state();
+        }
+
+        ob_start();
+        ?>
+        <div class="gcal-agenda">
+            <?php foreach ( $buckets as $day_key => $bucket ) : ?>
+                <?php
+                if ( empty( $bucket['events'] ) ) {
+                    continue;
+                }
+
+                // All-day events first, then by start time
+                usort(
+                    $bucket['events'],
+                    function ( $a, $b ) {
+                        if ( $a['is_all_day'] !== $b['is_all_day'] ) {
+                            return $a['is_all_day'] ? -1 : 1;
+                        }
+                        return strtotime( $a['start'] ) - strtotime( $b['start'] );
+                    }
+                );
+                ?>
+                <section class="gcal-agenda-day <?php echo $day_key === $today_key ? 'gcal-day-today' : ''; ?>" data-date="<?php echo esc_attr( $day_key ); ?>">
+                    <h4 class="gcal-agenda-day-heading"><?php echo esc_html( wp_date( gcal_tag_filter_day_heading_format(), $bucket['date']->getTimestamp(), $bucket['date']->getTimezone() ) ); ?></h4>
+                    <?php foreach ( $bucket['events'] as $event ) : ?>
+                        <?php
+                        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Event renderers return sanitized HTML
+                        echo $display === 'list' ? $this->render_list_event_card( $event ) : $this->render_day_agenda_item( $event );
+                        ?>
+                    <?php endforeach; ?>
+                </section>
+            <?php endforeach; ?>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render day view.
+     *
+     * Shows the day's time grid followed by an agenda with the full details of
+     * every event on that day. This MUST match GCalNavigation.renderDayGrid().
+     *
+     * @param array $events Array of events.
+     * @param int   $url_year Optional year parameter from URL.
+     * @param int   $url_month Optional month parameter from URL.
+     * @param int   $url_day Optional day parameter from URL.
+     * @return string HTML output.
+     */
+    private function render_day_view( $events, $url_year = null, $url_month = null, $url_day = null ) {
+        $day = $this->get_site_datetime();
+        if ( $url_year && $url_month && $url_day ) {
+            $day->setDate( $url_year, $url_month, $url_day );
+        }
+        $day_key = $day->format( 'Y-m-d' );
+
+        $day_events = array();
+        foreach ( $events as $event ) {
+            $range = $this->get_event_day_range( $event );
+            if ( $range['start'] <= $day_key && $range['end'] >= $day_key ) {
+                $day_events[] = $event;
+            }
+        }
+
+        // All-day events first, then by start time
+        usort(
+            $day_events,
+            function ( $a, $b ) {
+                if ( $a['is_all_day'] !== $b['is_all_day'] ) {
+                    return $a['is_all_day'] ? -1 : 1;
+                }
+                return strtotime( $a['start'] ) - strtotime( $b['start'] );
+            }
+        );
+
+        ob_start();
+        ?>
+        <div class="gcal-day-view">
+            <?php
+            // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_time_grid returns sanitized HTML
+            echo $this->render_time_grid( $events, array( $day ) );
+            ?>
+            <div class="gcal-day-agenda">
+                <?php if ( empty( $day_events ) ) : ?>
+                    <p class="gcal-day-agenda-empty"><?php esc_html_e( 'No events', 'gcal-tag-filter' ); ?></p>
+                <?php else : ?>
+                    <?php foreach ( $day_events as $event ) : ?>
+                        <?php
+                        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_day_agenda_item returns sanitized HTML
+                        echo $this->render_day_agenda_item( $event );
+                        ?>
+                    <?php endforeach; ?>
+                <?php endif; ?>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
 
-        // Abbreviated day names for week view (starting from WordPress configured day)
+    /**
+     * Render an event's full details for the day view agenda.
+     *
+     * @param array $event Event data.
+     * @return string HTML output.
+     */
+    private function render_day_agenda_item( $event ) {
+        $category_color = '';
+        $category_name = '';
+        $is_untagged = ! empty( $event['is_untagged'] );
+        $has_unknown_tags = ! empty( $event['has_unknown_tags'] );
+
+        if ( $is_untagged ) {
+            $category_color = '#000000';
+            $category_name = '⚠️ ' . __( 'Uncategorized', 'gcal-tag-filter' );
+        } elseif ( $has_unknown_tags ) {
+            $category_color = '#8B0000';
+            $first_invalid = ! empty( $event['invalid_tags'][0] ) ? $event['invalid_tags'][0] : 'UNKNOWN';
+            /* translators: %s: invalid tag name */
+            $category_name = '⚠️ ' . sprintf( __( 'Unknown tag: %s', 'gcal-tag-filter' ), $first_invalid );
+        } elseif ( ! empty( $event['tags'] ) ) {
+            $category_color = GCal_Categories::get_category_color( $event['tags'][0] );
+            $category_name = GCal_Categories::get_category_display_name( $event['tags'][0] );
+        }
+
+        if ( $event['is_all_day'] ) {
+            $time = esc_html__( 'All day', 'gcal-tag-filter' );
+        } else {
+            $time = $this->format_time_html( $this->get_site_datetime( $event['start'] ) ) . ' - ' . $this->format_time_html( $this->get_site_datetime( $event['end'] ) );
+        }
+
+        // Add warning emoji for untagged or unknown-tag events
+        $title = ( $is_untagged || $has_unknown_tags ) ? '⚠️ ' . $event['title'] : $event['title'];
+
+        ob_start();
+        ?>
+        <div class="gcal-day-agenda-item"
+             data-event-id="<?php echo esc_attr( $event['id'] ); ?>"
+             style="border-left-color: <?php echo esc_attr( $category_color ); ?>">
+            <div class="gcal-day-agenda-time"><?php echo $time; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- format_time_html returns escaped HTML ?></div>
+            <div class="gcal-day-agenda-details">
+                <h4 class="gcal-event-title"><?php echo esc_html( $title ); ?></h4>
+                <?php if ( $category_name ) : ?>
+                    <span class="gcal-event-category gcal-day-agenda-category" style="background-color: <?php echo esc_attr( $category_color ); ?>;"><?php echo esc_html( $category_name ); ?></span>
+                <?php endif; ?>
+                <?php if ( ! empty( $event['location'] ) ) : ?>
+                    <div class="gcal-event-location">
+                        <span class="gcal-location-icon">📍</span>
+                        <?php if ( ! empty( $event['map_link'] ) ) : ?>
+                            <a href="<?php echo esc_url( $event['map_link'] ); ?>" target="_blank" rel="noopener">
+                                <?php echo esc_html( $event['location'] ); ?>
+                            </a>
+                        <?php else : ?>
+                            <?php echo esc_html( $event['location'] ); ?>
+                        <?php endif; ?>
+                    </div>
+                <?php endif; ?>
+                <?php if ( ! empty( $event['description'] ) ) : ?>
+                    <div class="gcal-event-description">
+                        <?php
+                        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Already sanitized by make_links_clickable
+                        echo $this->make_links_clickable( $event['description'] );
+                        ?>
+                    </div>
+                <?php endif; ?>
+                <button class="gcal-event-read-more" data-event-id="<?php echo esc_attr( $event['id'] ); ?>">
+                    <?php esc_html_e( 'Learn more', 'gcal-tag-filter' ); ?> →
+                </button>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render an hour-by-hour time grid for a run of days.
+     *
+     * All-day and multi-day events go into a row above the hours; timed events
+     * are positioned by their start and end, with overlapping events side by side.
+     * This MUST match GCalNavigation.renderTimeGridHTML().
+     *
+     * @param array      $events Array of events.
+     * @param DateTime[] $days   Consecutive days to show.
+     * @return string HTML output.
+     */
+    private function render_time_grid( $events, $days ) {
+        $now = $this->get_site_datetime();
+
+        // Abbreviated day names, indexed from Sunday (0)
         $all_weekday_abbr = array(
             __( 'Sun', 'gcal-tag-filter' ), // 0
             __( 'Mon', 'gcal-tag-filter' ), // 1
@@ -320,42 +619,222 @@ class GCal_Display {
             __( 'Sat', 'gcal-tag-filter' ), // 6
         );
 
-        // Reorder to start from configured week start
-        $weekday_abbr = array();
-        for ( $i = 0; $i < 7; $i++ ) {
-            $weekday_abbr[] = $all_weekday_abbr[ ( $week_starts_on + $i ) % 7 ];
+        $day_keys = array();
+        foreach ( $days as $day ) {
+            $day_keys[] = $day->format( 'Y-m-d' );
+        }
+
+        // Split all-day/multi-day events from timed events
+        $all_day_events = array();
+        $timed_by_day   = array_fill( 0, count( $days ), array() );
+
+        foreach ( $events as $event ) {
+            $range = $this->get_event_day_range( $event );
+
+            if ( $event['is_all_day'] || $range['end'] > $range['start'] ) {
+                $all_day_events[] = $event;
+                continue;
+            }
+
+            $index = array_search( $range['start'], $day_keys, true );
+            if ( $index !== false ) {
+                $timed_by_day[ $index ][] = $event;
+            }
+        }
+
+        $all_day_slots = $this->layout_event_row( $all_day_events, $day_keys );
+        $timed_layouts = array_map( array( $this, 'layout_timed_events' ), $timed_by_day );
+
+        // Start scrolled to 8:00, or earlier if an event begins before then
+        $scroll_hour = 8;
+        foreach ( $timed_layouts as $items ) {
+            foreach ( $items as $item ) {
+                $scroll_hour = min( $scroll_hour, (int) floor( $item['start_min'] / 60 ) );
+            }
         }
 
         ob_start();
         ?>
-        <div class="gcal-week-view">
-            <?php for ( $i = 0; $i < 7; $i++ ) : ?>
-                <?php
-                $date = clone $monday;
-                $date->modify( "+{$i} days" );
-                $date_str = $date->format( 'Y-m-d' );
-                $day_events = $events_by_date[ $date_str ] ?? array();
-                $is_today = $date_str === $now->format( 'Y-m-d' );
-                ?>
-                <div class="gcal-week-day <?php echo $is_today ? 'gcal-day-today' : ''; ?>" data-date="<?php echo esc_attr( $date_str ); ?>">
-                    <div class="gcal-week-day-header">
-                        <div class="gcal-week-day-name"><?php echo esc_html( $weekday_abbr[ $i ] ); ?></div>
-                        <div class="gcal-week-day-number"><?php echo esc_html( $date->format( 'j' ) ); ?></div>
+        <div class="gcal-time-grid" role="grid" style="--gcal-day-count: <?php echo esc_attr( count( $days ) ); ?>;">
+            <div class="gcal-time-grid-header" role="row">
+                <div class="gcal-time-grid-gutter" aria-hidden="true"></div>
+                <?php foreach ( $days as $day ) : ?>
+                    <?php $is_today = $day->format( 'Y-m-d' ) === $now->format( 'Y-m-d' ); ?>
+                    <div class="gcal-time-grid-day-header <?php echo $is_today ? 'gcal-day-today' : ''; ?>" role="columnheader" data-date="<?php echo esc_attr( $day->format( 'Y-m-d' ) ); ?>">
+                        <div class="gcal-week-day-name"><?php echo esc_html( $all_weekday_abbr[ (int) $day->format( 'w' ) ] ); ?></div>
+                        <div class="gcal-week-day-number"><?php echo esc_html( $day->format( 'j' ) ); ?></div>
+                    </div>
+                <?php endforeach; ?>
+            </div>
+
+            <div class="gcal-time-grid-all-day" role="row">
+                <div class="gcal-time-grid-gutter" role="rowheader"><?php esc_html_e( 'All day', 'gcal-tag-filter' ); ?></div>
+                <?php foreach ( $days as $i => $day ) : ?>
+                    <div class="gcal-time-grid-all-day-cell" role="gridcell" data-date="<?php echo esc_attr( $day->format( 'Y-m-d' ) ); ?>">
+                        <?php
+                        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_day_slot returns sanitized HTML
+                        echo $this->render_day_slot( $all_day_slots[ $i ] );
+                        ?>
+                    </div>
+                <?php endforeach; ?>
+            </div>
+
+            <div class="gcal-time-grid-scroll" data-scroll-hour="<?php echo esc_attr( $scroll_hour ); ?>">
+                <div class="gcal-time-grid-body" role="row">
+                    <div class="gcal-time-grid-hours" aria-hidden="true">
+                        <?php for ( $hour = 0; $hour < 24; $hour++ ) : ?>
+                            <?php
+                            $hour_time = clone $now;
+                            $hour_time->setTime( $hour, 0, 0 );
+                            ?>
+                            <div class="gcal-time-grid-hour"><span><?php echo $hour > 0 ? esc_html( $this->format_time( $hour_time ) ) : ''; ?></span></div>
+                        <?php endfor; ?>
                     </div>
-                    <div class="gcal-week-day-events">
-                        <?php if ( ! empty( $day_events ) ) : ?>
-                            <?php foreach ( $day_events as $event ) : ?>
+                    <?php foreach ( $days as $i => $day ) : ?>
+                        <?php $is_today = $day->format( 'Y-m-d' ) === $now->format( 'Y-m-d' ); ?>
+                        <div class="gcal-time-grid-column <?php echo $is_today ? 'gcal-day-today' : ''; ?>" role="gridcell" data-date="<?php echo esc_attr( $day->format( 'Y-m-d' ) ); ?>"<?php echo $is_today ? ' aria-current="date"' : ''; ?>>
+                            <?php foreach ( $timed_layouts[ $i ] as $item ) : ?>
                                 <?php
-                                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_event_item returns sanitized HTML
-                                echo $this->render_event_item( $event );
+                                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_timed_event returns sanitized HTML
+                                echo $this->render_timed_event( $item );
                                 ?>
                             <?php endforeach; ?>
-                        <?php else : ?>
-                            <div class="gcal-no-events"><?php esc_html_e( 'No events', 'gcal-tag-filter' ); ?></div>
-                        <?php endif; ?>
-                    </div>
+                        </div>
+                    <?php endforeach; ?>
                 </div>
-            <?php endfor; ?>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Position timed events within a single day.
+     *
+     * Events that overlap (directly or through a chain of others) form a
+     * cluster; each cluster is split into as many columns as it needs.
+     *
+     * @param array $events Timed events starting on the same day.
+     * @return array Items with 'event', 'start_min', 'end_min', 'column' and 'columns'.
+     */
+    private function layout_timed_events( $events ) {
+        $minutes_per_day = 24 * 60;
+        $items           = array();
+
+        foreach ( $events as $event ) {
+            $start     = $this->get_site_datetime( $event['start'] );
+            $end       = $this->get_site_datetime( $event['end'] );
+            $start_min = (int) $start->format( 'G' ) * 60 + (int) $start->format( 'i' );
+            $end_min   = (int) $end->format( 'G' ) * 60 + (int) $end->format( 'i' );
+
+            // Events ending at midnight run to the bottom of the column
+            if ( $end->format( 'Y-m-d' ) !== $start->format( 'Y-m-d' ) || $end_min < $start_min ) {
+                $end_min = $minutes_per_day;
+            }
+
+            $items[] = array(
+                'event'     => $event,
+                'start_min' => $start_min,
+                // Short events are drawn at least half an hour tall
+                'end_min'   => min( $minutes_per_day, max( $end_min, $start_min + 30 ) ),
+                'column'    => 0,
+                'columns'   => 1,
+            );
+        }
+
+        usort(
+            $items,
+            function ( $a, $b ) {
+                if ( $a['start_min'] !== $b['start_min'] ) {
+                    return $a['start_min'] - $b['start_min'];
+                }
+                return $b['end_min'] - $a['end_min'];
+            }
+        );
+
+        $cluster     = array();
+        $column_ends = array();
+        $cluster_end = -1;
+
+        foreach ( $items as $index => $item ) {
+            if ( ! empty( $cluster ) && $item['start_min'] >= $cluster_end ) {
+                foreach ( $cluster as $member ) {
+                    $items[ $member ]['columns'] = count( $column_ends );
+                }
+                $cluster     = array();
+                $column_ends = array();
+                $cluster_end = -1;
+            }
+
+            // Reuse the first column that is free by the time this event starts
+            $column = false;
+            foreach ( $column_ends as $candidate => $column_end ) {
+                if ( $column_end <= $item['start_min'] ) {
+                    $column = $candidate;
+                    break;
+                }
+            }
+            if ( $column === false ) {
+                $column = count( $column_ends );
+            }
+            $column_ends[ $column ] = $item['end_min'];
+
+            $items[ $index ]['column'] = $column;
+            $cluster[]                 = $index;
+            $cluster_end               = max( $cluster_end, $item['end_min'] );
+        }
+
+        foreach ( $cluster as $member ) {
+            $items[ $member ]['columns'] = count( $column_ends );
+        }
+
+        return $items;
+    }
+
+    /**
+     * Render a positioned event block for the time grid.
+     *
+     * @param array $item Item from layout_timed_events().
+     * @return string HTML output.
+     */
+    private function render_timed_event( $item ) {
+        $event            = $item['event'];
+        $minutes_per_day  = 24 * 60;
+        $is_untagged      = ! empty( $event['is_untagged'] );
+        $has_unknown_tags = ! empty( $event['has_unknown_tags'] );
+        $category_color   = '';
+        $css_class        = '';
+
+        if ( $is_untagged ) {
+            $category_color = '#000000';
+            $css_class      = 'gcal-event-untagged';
+        } elseif ( $has_unknown_tags ) {
+            $category_color = '#8B0000';
+            $css_class      = 'gcal-event-unknown-tags';
+        } elseif ( ! empty( $event['tags'] ) ) {
+            $category_color = GCal_Categories::get_category_color( $event['tags'][0] );
+        }
+
+        $style = sprintf(
+            'background-color: %s; top: %.3f%%; height: %.3f%%; left: %.3f%%; width: %.3f%%;',
+            $category_color,
+            $item['start_min'] / $minutes_per_day * 100,
+            ( $item['end_min'] - $item['start_min'] ) / $minutes_per_day * 100,
+            $item['column'] / $item['columns'] * 100,
+            100 / $item['columns']
+        );
+
+        $time  = $this->format_time_html( $this->get_site_datetime( $event['start'] ) ) . ' - ' . $this->format_time_html( $this->get_site_datetime( $event['end'] ) );
+        $title = ( $is_untagged || $has_unknown_tags ) ? '⚠️ ' . $event['title'] : $event['title'];
+
+        ob_start();
+        ?>
+        <div class="gcal-event-item gcal-time-grid-event <?php echo esc_attr( $css_class ); ?>"
+             data-event-id="<?php echo esc_attr( $event['id'] ); ?>"
+             style="<?php echo esc_attr( $style ); ?>"
+             role="button" tabindex="0">
+            <span class="gcal-event-time"><?php echo $time; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- format_time_html returns escaped HTML ?></span>
+            <span class="gcal-event-title"><?php echo esc_html( $title ); ?></span>
         </div>
         <?php
         return ob_get_clean();
@@ -372,7 +851,7 @@ class GCal_Display {
         // Group events by month
         $events_by_month = array();
         foreach ( $events as $event ) {
-            $start_date = new DateTime( $event['start'] );
+            $start_date = $this->get_site_datetime( $event['start'] );
             $month_key = $start_date->format( 'Y-m' );
             if ( ! isset( $events_by_month[ $month_key ] ) ) {
                 $events_by_month[ $month_key ] = array();
@@ -384,7 +863,7 @@ class GCal_Display {
         if ( $url_year ) {
             $year = $url_year;
         } else {
-            $now = new DateTime();
+            $now = $this->get_site_datetime();
             $year = $now->format( 'Y' );
         }
 
@@ -416,15 +895,17 @@ class GCal_Display {
                     <div class="gcal-year-month-header">
                         <h4><?php echo esc_html( ucfirst( $month_name ) ); ?></h4>
                         <span class="gcal-year-month-count">
-                            <?php echo count( $month_events ); ?>
-                            <?php echo count( $month_events ) === 1 ? esc_html__( 'event', 'gcal-tag-filter' ) : esc_html__( 'events', 'gcal-tag-filter' ); ?>
+                            <?php
+                            /* translators: %d: number of events */
+                            echo esc_html( sprintf( _n( '%d event', '%d events', count( $month_events ), 'gcal-tag-filter' ), count( $month_events ) ) );
+                            ?>
                         </span>
                     </div>
                     <div class="gcal-year-month-events">
                         <?php if ( ! empty( $month_events ) ) : ?>
                             <?php foreach ( $month_events as $index => $event ) : ?>
                                 <?php
-                                $event_start = new DateTime( $event['start'] );
+                                $event_start = $this->get_site_datetime( $event['start'] );
                                 $event_date = $event_start->format( 'j' ); // Day of month without leading zeros
                                 $is_hidden = $index >= 5;
                                 ?>
@@ -441,7 +922,8 @@ class GCal_Display {
                             <?php endforeach; ?>
                             <?php if ( count( $month_events ) > 5 ) : ?>
                                 <button class="gcal-year-more" data-month="<?php echo esc_attr( $month_key ); ?>">
-                                    <span class="gcal-year-more-text">+<?php echo count( $month_events ) - 5; ?> <?php esc_html_e( 'more', 'gcal-tag-filter' ); ?></span>
+                                    <?php $hidden_count = count( $month_events ) - 5; ?>
+                                    <span class="gcal-year-more-text"><?php /* translators: %d: number of hidden events */ echo esc_html( sprintf( _n( '+%d more', '+%d more', $hidden_count, 'gcal-tag-filter' ), $hidden_count ) ); ?></span>
                                     <span class="gcal-year-less-text" style="display: none;"><?php esc_html_e( 'Show less', 'gcal-tag-filter' ); ?></span>
                                 </button>
                             <?php endif; ?>
@@ -470,21 +952,35 @@ class GCal_Display {
      * @param int    $url_month Optional month parameter.
      * @param int    $url_week Optional week parameter.
      * @param bool   $hide_past Optional. Hide past events. Default false.
+     * @param int    $url_day Optional day parameter.
+     * @param int    $days Optional number of days in the upcoming window.
+     * @param string $url_prefix Optional. Prefix of this instance's URL parameters. Default 'gcal_'.
+     * @param string $locale Optional. WordPress locale dates are formatted in. Default the site locale.
      * @return string HTML output.
      */
-    public function render_list_view( $events, $period, $tags, $show_categories = false, $selected_category = '', $show_display_style = false, $current_view = 'list', $url_year = null, $url_month = null, $url_week = null, $hide_past = false ) {
+    public function render_list_view( $events, $period, $tags, $show_categories = false, $selected_category = '', $show_display_style = false, $current_view = 'list', $url_year = null, $url_month = null, $url_week = null, $hide_past = false, $url_day = null, $days = null, $url_prefix = 'gcal_', $locale = '' ) {
         // Generate unique ID for this list instance
         $instance_id = 'gcal-list-' . uniqid();
 
+        // Prepare events data for JavaScript before hiding past events, so the
+        // calendar display still has them after an in-place display switch
+        $prepared_events = $this->prepare_events_for_js( $events );
+        $events_json = wp_json_encode( $prepared_events );
+
+        // Month events are fetched for the whole month grid; the list shows the month only
+        if ( $period === 'month' ) {
+            $events = $this->get_month_events( $events, $url_year, $url_month );
+        }
+
         // Filter out past events if hide_past is true
         if ( $hide_past && ! empty( $events ) ) {
-            $now = new DateTime( 'now', new DateTimeZone( 'Asia/Hong_Kong' ) );
+            $now = $this->get_site_datetime();
             $events = array_filter( $events, function( $event ) use ( $now ) {
                 // For all-day events, compare dates only (end date is exclusive from Google)
                 if ( $event['is_all_day'] ) {
                     // End date is exclusive, so event on 2025-10-25 has end = 2025-10-26
                     // We want to show it until the end of 2025-10-25
-                    $event_end = new DateTime( $event['end'], new DateTimeZone( 'Asia/Hong_Kong' ) );
+                    $event_end = $this->get_site_datetime( $event['end'] );
                     $event_end->modify( '-1 day' ); // Make it inclusive
                     $event_end->setTime( 23, 59, 59 ); // End of day
                     $now_date = clone $now;
@@ -493,16 +989,12 @@ class GCal_Display {
                 } else {
                     // For timed events, compare exact timestamps
                     // DateTime string from Google includes timezone, e.g., "2025-10-25T14:00:00+08:00"
-                    $event_end = new DateTime( $event['end'] );
+                    $event_end = $this->get_site_datetime( $event['end'] );
                     return $event_end >= $now;
                 }
             } );
         }
 
-        // Prepare events data for JavaScript
-        $prepared_events = $this->prepare_events_for_js( $events );
-        $events_json = wp_json_encode( $prepared_events );
-
         // Debug logging
         if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
             error_log( sprintf(
@@ -526,7 +1018,16 @@ class GCal_Display {
             <div class="gcal-list-wrapper"
                  id="<?php echo esc_attr( $instance_id ); ?>"
                  data-period="<?php echo esc_attr( $period ); ?>"
+                 data-hide-past="<?php echo $hide_past ? 'true' : 'false'; ?>"
+                 data-url-prefix="<?php echo esc_attr( $url_prefix ); ?>"
+                 data-locale="<?php echo esc_attr( gcal_tag_filter_js_locale( $locale ) ); ?>"
+                 <?php if ( $locale ) : ?>
+                 data-date-names="<?php echo esc_attr( wp_json_encode( gcal_tag_filter_js_date_names() ) ); ?>"
+                 <?php endif; ?>
                  data-tags="<?php echo esc_attr( implode( ',', $tags ) ); ?>"
+                 <?php if ( $period === 'upcoming' ) : ?>
+                 data-days="<?php echo esc_attr( $days ); ?>"
+                 <?php endif; ?>
                  data-events="<?php echo esc_attr( $events_json ); ?>">
             <?php if ( $period !== 'future' ) : ?>
             <div class="gcal-list-header">
@@ -539,7 +1040,17 @@ class GCal_Display {
                         ›
                     </button>
                 </div>
+                <?php
+                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_date_jump returns sanitized HTML
+                echo $this->render_date_jump();
+                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_timezone_switch returns sanitized HTML
+                echo $this->render_timezone_switch();
+                ?>
+                <?php if ( $period !== 'upcoming' ) : ?>
                 <div class="gcal-view-toggle">
+                    <button class="gcal-view-btn <?php echo $period === 'day' ? 'active' : ''; ?>" data-view="day">
+                        <?php esc_html_e( 'Day', 'gcal-tag-filter' ); ?>
+                    </button>
                     <button class="gcal-view-btn <?php echo $period === 'week' ? 'active' : ''; ?>" data-view="week">
                         <?php esc_html_e( 'Week', 'gcal-tag-filter' ); ?>
                     </button>
@@ -550,6 +1061,7 @@ class GCal_Display {
                         <?php esc_html_e( 'Year', 'gcal-tag-filter' ); ?>
                     </button>
                 </div>
+                <?php endif; ?>
             </div>
             <?php endif; ?>
 
@@ -563,6 +1075,11 @@ class GCal_Display {
                     // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_empty_state returns sanitized HTML
                     echo $this->render_empty_state();
                     ?>
+                <?php elseif ( $period === 'upcoming' ) : ?>
+                    <?php
+                    // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- render_upcoming_view returns sanitized HTML
+                    echo $this->render_upcoming_view( $events, $url_year, $url_month, $url_day, $days, 'list' );
+                    ?>
                 <?php else : ?>
                     <?php foreach ( $events as $event ) : ?>
                         <?php
@@ -590,10 +1107,11 @@ class GCal_Display {
     /**
      * Render individual event item for calendar.
      *
-     * @param array $event Event data.
+     * @param array $event   Event data.
+     * @param array $segment Optional. Multi-day segment from layout_event_row().
      * @return string HTML output.
      */
-    private function render_event_item( $event ) {
+    private function render_event_item( $event, $segment = null ) {
         $category_color = '';
         $is_untagged = ! empty( $event['is_untagged'] );
         $has_unknown_tags = ! empty( $event['has_unknown_tags'] );
@@ -613,28 +1131,89 @@ class GCal_Display {
 
         $time = '';
         if ( ! $event['is_all_day'] ) {
-            $start_time = new DateTime( $event['start'] );
-            $end_time = new DateTime( $event['end'] );
-            $time = $this->format_time( $start_time ) . ' - ' . $this->format_time( $end_time );
+            $start_time = $this->get_site_datetime( $event['start'] );
+            $end_time = $this->get_site_datetime( $event['end'] );
+
+            if ( ! $segment ) {
+                $time = $this->format_time_html( $start_time ) . ' - ' . $this->format_time_html( $end_time );
+            } elseif ( $segment['starts_event'] ) {
+                // Multi-day bars only show when they begin
+                $time = $this->format_time_html( $start_time );
+            }
         }
 
         // Add warning emoji for untagged or unknown-tag events
         $title = ( $is_untagged || $has_unknown_tags ) ? '⚠️ ' . $event['title'] : $event['title'];
 
+        if ( $segment ) {
+            $css_class .= ' gcal-event-multiday';
+            if ( $segment['is_first'] ) {
+                $css_class .= ' gcal-event-segment-first';
+            }
+            if ( $segment['is_last'] ) {
+                $css_class .= ' gcal-event-segment-last';
+            }
+            if ( $segment['continues_before'] ) {
+                $css_class .= ' gcal-event-continues-before';
+            }
+            if ( $segment['continues_after'] ) {
+                $css_class .= ' gcal-event-continues-after';
+            }
+        }
+
         ob_start();
         ?>
-        <div class="gcal-event-item <?php echo esc_attr( $css_class ); ?>"
+        <div class="gcal-event-item <?php echo esc_attr( trim( $css_class ) ); ?>"
              data-event-id="<?php echo esc_attr( $event['id'] ); ?>"
-             style="background-color: <?php echo esc_attr( $category_color ); ?>;">
+             style="background-color: <?php echo esc_attr( $category_color ); ?>;"
+             <?php echo ( $segment && ! $segment['is_first'] ) ? 'aria-hidden="true"' : 'role="button" tabindex="0"'; ?>>
+            <?php if ( $segment && $segment['continues_before'] ) : ?>
+                <span class="gcal-event-continues-marker" aria-hidden="true">‹</span>
+            <?php endif; ?>
             <?php if ( $time ) : ?>
-                <span class="gcal-event-time"><?php echo esc_html( $time ); ?></span>
+                <span class="gcal-event-time"><?php echo $time; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- format_time_html returns escaped HTML ?></span>
+            <?php endif; ?>
+            <?php if ( ! $segment || $segment['is_first'] ) : ?>
+                <span class="gcal-event-title"><?php echo esc_html( $title ); ?></span>
+            <?php else : ?>
+                <span class="gcal-event-title">&nbsp;</span>
+            <?php endif; ?>
+            <?php if ( $segment && $segment['continues_after'] ) : ?>
+                <span class="gcal-event-continues-marker" aria-hidden="true">›</span>
             <?php endif; ?>
-            <span class="gcal-event-title"><?php echo esc_html( $title ); ?></span>
         </div>
         <?php
         return ob_get_clean();
     }
 
+    /**
+     * Render the events of a laid-out day slot.
+     *
+     * Empty lanes are rendered as spacers so multi-day bars below them stay aligned.
+     *
+     * @param array $slot Slot from layout_event_row().
+     * @return string HTML output.
+     */
+    private function render_day_slot( $slot ) {
+        $html = '';
+
+        $lane_count = empty( $slot['lanes'] ) ? 0 : max( array_keys( $slot['lanes'] ) ) + 1;
+        for ( $lane = 0; $lane < $lane_count; $lane++ ) {
+            if ( isset( $slot['lanes'][ $lane ] ) ) {
+                $segment = $slot['lanes'][ $lane ];
+                $html   .= $this->render_event_item( $segment['event'], $segment );
+            } else {
+                $html .= '<div class="gcal-event-spacer" aria-hidden="true"><span class="gcal-event-title">&nbsp;</span></div>';
+            }
+        }
+
+        foreach ( $slot['single'] as $event ) {
+            $html .= $this->render_event_item( $event );
+        }
+
+        return $html;
+    }
+
     /**
      * Render event card for list view.
      *
@@ -642,7 +1221,7 @@ class GCal_Display {
      * @return string HTML output.
      */
     private function render_list_event_card( $event ) {
-        $start_date = new DateTime( $event['start'] );
+        $start_date = $this->get_site_datetime( $event['start'] );
         $category_color = '';
         $category_name = '';
         $is_untagged = ! empty( $event['is_untagged'] );
@@ -712,9 +1291,9 @@ class GCal_Display {
                         <?php esc_html_e( 'All day', 'gcal-tag-filter' ); ?>
                     <?php else : ?>
                         <?php
-                        $end_date = new DateTime( $event['end'] );
+                        $end_date = $this->get_site_datetime( $event['end'] );
                         ?>
-                        <span class="gcal-event-start"><?php echo esc_html( $this->format_time( $start_date ) . ' - ' . $this->format_time( $end_date ) ); ?></span>
+                        <span class="gcal-event-start"><?php echo $this->format_time_html( $start_date ) . ' - ' . $this->format_time_html( $end_date ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- format_time_html returns escaped HTML ?></span>
                     <?php endif; ?>
                 </div>
             </div>
@@ -722,6 +1301,10 @@ class GCal_Display {
             <div class="gcal-event-details">
                 <h3 class="gcal-event-title"><?php echo esc_html( $title ); ?></h3>
 
+                <?php if ( $category_name ) : ?>
+                    <span class="gcal-event-category" style="background-color: <?php echo esc_attr( $category_color ); ?>;"><?php echo esc_html( $category_name ); ?></span>
+                <?php endif; ?>
+
                 <?php if ( ! empty( $event['description'] ) ) : ?>
                     <div class="gcal-event-description">
                         <?php
@@ -779,26 +1362,178 @@ class GCal_Display {
     }
 
     /**
-     * Group events by date.
+     * Parse a date or date-time in the site timezone.
      *
-     * @param array $events Array of events.
-     * @return array Events grouped by date (Y-m-d).
+     * Days, weeks and months are bucketed in the site timezone, as
+     * GCalEventStore.getEventDayRange() does in the display timezone: a
+     * date-time's own offset is honoured, then converted to the site
+     * timezone. Bare dates (all-day events) are midnight of that day.
+     *
+     * @param string $value Optional. Date or date-time. Default 'now'.
+     * @return DateTime Date in the site timezone.
      */
-    private function group_events_by_date( $events ) {
-        $grouped = array();
+    private function get_site_datetime( $value = 'now' ) {
+        $date = new DateTime( $value, wp_timezone() );
+        $date->setTimezone( wp_timezone() );
+
+        return $date;
+    }
+
+    /**
+     * Get the first and last day covered by an event.
+     *
+     * Google end times are exclusive: an all-day event on the 25th ends on the
+     * 26th, and a timed event ending at midnight does not occupy the next day.
+     * Days are those of the site timezone; this MUST match
+     * GCalEventStore.getEventDayRange() when that is the display timezone.
+     *
+     * @param array $event Event data.
+     * @return array Array with 'start' and 'end' day keys (Y-m-d).
+     */
+    private function get_event_day_range( $event ) {
+        $start = $this->get_site_datetime( $event['start'] );
+        $end   = ! empty( $event['end'] ) ? $this->get_site_datetime( $event['end'] ) : clone $start;
+
+        $last_moment = clone $end;
+        $last_moment->modify( '-1 second' );
+        if ( $last_moment < $start ) {
+            $last_moment = clone $start;
+        }
+
+        return array(
+            'start' => $start->format( 'Y-m-d' ),
+            'end'   => $last_moment->format( 'Y-m-d' ),
+        );
+    }
+
+    /**
+     * Lay out events across a row of consecutive days.
+     *
+     * Multi-day events get a lane that stays the same on every day they cover,
+     * so their segments line up into a continuous bar. This MUST match
+     * GCalNavigation.layoutEventRow() so AJAX re-renders look the same.
+     *
+     * @param array $events   Array of events.
+     * @param array $day_keys Consecutive day keys (Y-m-d).
+     * @return array One slot per day, each with 'lanes' and 'single' arrays.
+     */
+    private function layout_event_row( $events, $day_keys ) {
+        $slots = array();
+        foreach ( $day_keys as $index => $day_key ) {
+            $slots[ $index ] = array(
+                'lanes'  => array(),
+                'single' => array(),
+            );
+        }
+
+        if ( empty( $day_keys ) ) {
+            return $slots;
+        }
+
+        $row_start = $day_keys[0];
+        $row_end   = $day_keys[ count( $day_keys ) - 1 ];
+        $spanning  = array();
 
         foreach ( $events as $event ) {
-            $start_date = new DateTime( $event['start'] );
-            $date_key = $start_date->format( 'Y-m-d' );
+            $range = $this->get_event_day_range( $event );
+
+            if ( $range['end'] < $row_start || $range['start'] > $row_end ) {
+                continue;
+            }
 
-            if ( ! isset( $grouped[ $date_key ] ) ) {
-                $grouped[ $date_key ] = array();
+            if ( $range['end'] > $range['start'] ) {
+                $spanning[] = array(
+                    'event' => $event,
+                    'range' => $range,
+                );
+            } else {
+                $index = array_search( $range['start'], $day_keys, true );
+                if ( $index !== false ) {
+                    $slots[ $index ]['single'][] = $event;
+                }
+            }
+        }
+
+        // Earlier and longer events claim the top lanes
+        usort(
+            $spanning,
+            function ( $a, $b ) {
+                $by_start = strcmp( $a['range']['start'], $b['range']['start'] );
+                if ( $by_start !== 0 ) {
+                    return $by_start;
+                }
+                return strcmp( $b['range']['end'], $a['range']['end'] );
             }
+        );
 
-            $grouped[ $date_key ][] = $event;
+        $last_index = count( $day_keys ) - 1;
+
+        foreach ( $spanning as $item ) {
+            $range = $item['range'];
+            $first = $range['start'] < $row_start ? 0 : array_search( $range['start'], $day_keys, true );
+            $last  = $range['end'] > $row_end ? $last_index : array_search( $range['end'], $day_keys, true );
+
+            // Find the lowest lane that is free on every day of the span
+            $lane = 0;
+            do {
+                $is_free = true;
+                for ( $i = $first; $i <= $last; $i++ ) {
+                    if ( isset( $slots[ $i ]['lanes'][ $lane ] ) ) {
+                        $is_free = false;
+                        $lane++;
+                        break;
+                    }
+                }
+            } while ( ! $is_free );
+
+            for ( $i = $first; $i <= $last; $i++ ) {
+                $slots[ $i ]['lanes'][ $lane ] = array(
+                    'event'            => $item['event'],
+                    'is_first'         => $i === $first,
+                    'is_last'          => $i === $last,
+                    'starts_event'     => $i === $first && $range['start'] >= $row_start,
+                    'continues_before' => $i === $first && $range['start'] < $row_start,
+                    'continues_after'  => $i === $last && $range['end'] > $row_end,
+                );
+            }
         }
 
-        return $grouped;
+        return $slots;
+    }
+
+    /**
+     * Keep the events that overlap a calendar month.
+     *
+     * @param array $events    Array of events.
+     * @param int   $url_year  Optional year parameter from URL.
+     * @param int   $url_month Optional month parameter from URL.
+     * @return array Events of the month (URL month, or the current one).
+     */
+    private function get_month_events( $events, $url_year = null, $url_month = null ) {
+        $month = $this->get_site_datetime();
+        if ( $url_year && $url_month ) {
+            $month->setDate( $url_year, $url_month, 1 );
+        }
+        $first_day = $month->format( 'Y-m-01' );
+        $last_day  = $month->format( 'Y-m-t' );
+
+        return array_filter(
+            $events,
+            function ( $event ) use ( $first_day, $last_day ) {
+                $range = $this->get_event_day_range( $event );
+                return $range['end'] >= $first_day && $range['start'] <= $last_day;
+            }
+        );
+    }
+
+    /**
+     * Check whether a laid-out day slot contains any events.
+     *
+     * @param array $slot Slot from layout_event_row().
+     * @return bool True if the day has events.
+     */
+    private function slot_has_events( $slot ) {
+        return ! empty( $slot['single'] ) || ! empty( $slot['lanes'] );
     }
 
     /**
@@ -808,36 +1543,51 @@ class GCal_Display {
      * @return array Events prepared for JSON encoding.
      */
     private function prepare_events_for_js( $events ) {
-        $prepared = array_map(
-            function( $event ) {
-                // Get category display names
-                $category_names = array();
-                if ( ! empty( $event['tags'] ) ) {
-                    foreach ( $event['tags'] as $tag ) {
-                        $category_names[] = GCal_Categories::get_category_display_name( $tag );
-                    }
-                }
+        return GCal_REST::prepare_events( $events );
+    }
 
-                return array(
-                    'id'             => $event['id'],
-                    'title'          => $event['title'],
-                    'description'    => $event['description'], // Keep as plain text - JavaScript will format it
-                    'location'       => $event['location'],
-                    'start'          => $event['start'],
-                    'end'            => $event['end'],
-                    'isAllDay'       => $event['is_all_day'],
-                    'tags'           => $event['tags'],
-                    'invalidTags'    => isset( $event['invalid_tags'] ) ? $event['invalid_tags'] : array(),
-                    'categoryNames'  => $category_names,
-                    'mapLink'        => $event['map_link'],
-                    'htmlLink'       => $event['html_link'],
-                );
-            },
-            $events
-        );
+    /**
+     * Render the Today button and month/year picker of the header.
+     *
+     * The picker options are filled in by calendar-navigation.js, which keeps
+     * them in step with the period shown.
+     *
+     * @return string HTML output.
+     */
+    private function render_date_jump() {
+        ob_start();
+        ?>
+        <div class="gcal-date-jump">
+            <button type="button" class="gcal-nav-today"><?php esc_html_e( 'Today', 'gcal-tag-filter' ); ?></button>
+            <select class="gcal-jump-month" aria-label="<?php esc_attr_e( 'Month', 'gcal-tag-filter' ); ?>"></select>
+            <select class="gcal-jump-year" aria-label="<?php esc_attr_e( 'Year', 'gcal-tag-filter' ); ?>"></select>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
 
-        // Reindex array to ensure sequential keys for proper JSON array encoding
-        return array_values( $prepared );
+    /**
+     * Render the display timezone switcher of the calendar header.
+     *
+     * Times are shown in the visitor's own timezone until they pick another;
+     * the choice is remembered by the browser, so the scripts fill in the
+     * timezone names, the list of timezones and the selection.
+     *
+     * @return string HTML output.
+     */
+    private function render_timezone_switch() {
+        ob_start();
+        ?>
+        <div class="gcal-timezone-switch">
+            <select class="gcal-timezone-select" aria-label="<?php esc_attr_e( 'Timezone', 'gcal-tag-filter' ); ?>">
+                <option value="local"><?php esc_html_e( 'My timezone', 'gcal-tag-filter' ); ?></option>
+                <option value="event"><?php esc_html_e( 'Event timezone', 'gcal-tag-filter' ); ?></option>
+                <option value="other"><?php esc_html_e( 'Other timezone…', 'gcal-tag-filter' ); ?></option>
+            </select>
+            <input type="search" class="gcal-timezone-search" placeholder="<?php esc_attr_e( 'Search timezones', 'gcal-tag-filter' ); ?>" aria-label="<?php esc_attr_e( 'Search timezones', 'gcal-tag-filter' ); ?>" autocomplete="off" hidden>
+        </div>
+        <?php
+        return ob_get_clean();
     }
 
     /**
@@ -888,26 +1638,29 @@ class GCal_Display {
      * @return string HTML output.
      */
     private function render_category_sidebar( $events, $selected_category, $instance_id ) {
-        // Collect all unique categories from events
-        $all_categories = array();
-        $has_untagged = false;
-        $has_unknown_tags = false;
+        // Collect all unique categories from events, counting events per category
+        // This MUST match GCalCategoryFilter.renderSidebar()
+        $category_counts = array();
+        $untagged_count = 0;
+        $unknown_tags_count = 0;
         foreach ( $events as $event ) {
             if ( ! empty( $event['tags'] ) ) {
-                foreach ( $event['tags'] as $tag ) {
-                    $all_categories[] = strtoupper( $tag );
+                foreach ( array_unique( array_map( 'strtoupper', $event['tags'] ) ) as $tag ) {
+                    $category_counts[ $tag ] = isset( $category_counts[ $tag ] ) ? $category_counts[ $tag ] + 1 : 1;
                 }
             }
             if ( ! empty( $event['is_untagged'] ) ) {
-                $has_untagged = true;
+                $untagged_count++;
             }
             if ( ! empty( $event['has_unknown_tags'] ) ) {
-                $has_unknown_tags = true;
+                $unknown_tags_count++;
             }
         }
+        $has_untagged = $untagged_count > 0;
+        $has_unknown_tags = $unknown_tags_count > 0;
 
-        // Remove duplicates and sort alphabetically
-        $all_categories = array_unique( $all_categories );
+        // Sort alphabetically
+        $all_categories = array_keys( $category_counts );
         sort( $all_categories );
 
         // Check if current user can view untagged events
@@ -922,22 +1675,22 @@ class GCal_Display {
             <div class="gcal-category-dropdown-wrapper">
                 <select class="gcal-category-dropdown" data-instance="<?php echo esc_attr( $instance_id ); ?>">
                     <option value="" <?php echo empty( $selected_category ) ? 'selected' : ''; ?>>
-                        <?php esc_html_e( 'All categories', 'gcal-tag-filter' ); ?>
+                        <?php esc_html_e( 'All categories', 'gcal-tag-filter' ); ?> (<?php echo esc_html( count( $events ) ); ?>)
                     </option>
                     <?php foreach ( $all_categories as $category ) : ?>
                         <option value="<?php echo esc_attr( $category ); ?>"
                                 <?php echo $category === strtoupper( $selected_category ) ? 'selected' : ''; ?>>
-                            <?php echo esc_html( $this->get_category_display_name( $category ) ); ?>
+                            <?php echo esc_html( $this->get_category_display_name( $category ) ); ?> (<?php echo esc_html( $category_counts[ $category ] ); ?>)
                         </option>
                     <?php endforeach; ?>
                     <?php if ( $is_admin && $has_untagged ) : ?>
                         <option value="UNTAGGED" <?php echo strtoupper( $selected_category ) === 'UNTAGGED' ? 'selected' : ''; ?>>
-                            ⚠️ <?php esc_html_e( 'Uncategorized', 'gcal-tag-filter' ); ?>
+                            ⚠️ <?php esc_html_e( 'Uncategorized', 'gcal-tag-filter' ); ?> (<?php echo esc_html( $untagged_count ); ?>)
                         </option>
                     <?php endif; ?>
                     <?php if ( $is_admin && $has_unknown_tags ) : ?>
                         <option value="UNKNOWN" <?php echo strtoupper( $selected_category ) === 'UNKNOWN' ? 'selected' : ''; ?>>
-                            ⚠️ <?php esc_html_e( 'Unknown tags', 'gcal-tag-filter' ); ?>
+                            ⚠️ <?php esc_html_e( 'Unknown tags', 'gcal-tag-filter' ); ?> (<?php echo esc_html( $unknown_tags_count ); ?>)
                         </option>
                     <?php endif; ?>
                 </select>
@@ -949,6 +1702,7 @@ class GCal_Display {
                     <button class="gcal-category-btn <?php echo empty( $selected_category ) ? 'active' : ''; ?>"
                             data-category="">
                         <?php esc_html_e( 'All categories', 'gcal-tag-filter' ); ?>
+                        <span class="gcal-category-count"><?php echo esc_html( count( $events ) ); ?></span>
                     </button>
                 </li>
                 <?php foreach ( $all_categories as $category ) : ?>
@@ -960,6 +1714,7 @@ class GCal_Display {
                             ?>
                             <span class="gcal-category-color-dot" style="background-color: <?php echo esc_attr( $category_color ); ?>"></span>
                             <?php echo esc_html( $this->get_category_display_name( $category ) ); ?>
+                            <span class="gcal-category-count"><?php echo esc_html( $category_counts[ $category ] ); ?></span>
                         </button>
                     </li>
                 <?php endforeach; ?>
@@ -968,6 +1723,7 @@ class GCal_Display {
                         <button class="gcal-category-btn <?php echo strtoupper( $selected_category ) === 'UNTAGGED' ? 'active' : ''; ?>"
                                 data-category="UNTAGGED">
                             ⚠️ <?php esc_html_e( 'Uncategorized', 'gcal-tag-filter' ); ?>
+                            <span class="gcal-category-count"><?php echo esc_html( $untagged_count ); ?></span>
                         </button>
                     </li>
                 <?php endif; ?>
@@ -976,6 +1732,7 @@ class GCal_Display {
                         <button class="gcal-category-btn <?php echo strtoupper( $selected_category ) === 'UNKNOWN' ? 'active' : ''; ?>"
                                 data-category="UNKNOWN">
                             ⚠️ <?php esc_html_e( 'Unknown tags', 'gcal-tag-filter' ); ?>
+                            <span class="gcal-category-count"><?php echo esc_html( $unknown_tags_count ); ?></span>
                         </button>
                     </li>
                 <?php endif; ?>
@@ -998,12 +1755,33 @@ class GCal_Display {
     /**
      * Format time using WordPress time format setting.
      *
+     * wp_date() translates am/pm into the current locale, which the scripts
+     * mirror with gcalData.i18n.meridiem (see GCalTimezone.formatWPTime()).
+     *
      * @param DateTime $datetime DateTime object.
      * @return string Formatted time according to WordPress settings.
      */
     private function format_time( $datetime ) {
         $wp_time_format = get_option( 'time_format', 'g:i a' );
-        return $datetime->format( $wp_time_format );
+        return wp_date( $wp_time_format, $datetime->getTimestamp(), $datetime->getTimezone() );
+    }
+
+    /**
+     * Format an event time as a <time> element.
+     *
+     * The time is shown as the server formats it, in the calendar's timezone,
+     * and reformatted by the scripts for the visitor's timezone
+     * (GCalTimezone.localizeTimes()).
+     *
+     * @param DateTime $datetime DateTime object.
+     * @return string Escaped HTML.
+     */
+    private function format_time_html( $datetime ) {
+        return sprintf(
+            '<time class="gcal-time" datetime="%s">%s</time>',
+            esc_attr( $datetime->format( DATE_ATOM ) ),
+            esc_html( $this->format_time( $datetime ) )
+        );
     }
 
     /**
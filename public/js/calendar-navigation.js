@@ -11,12 +11,52 @@
      * GCal Calendar Navigation
      */
     const GCalNavigation = {
+        /**
+         * Fetched events by fetch range, with their expiry time
+         */
+        cache: {},
+
+        /**
+         * Requests in flight by fetch range, so a prefetch and a click share one request
+         */
+        pendingRequests: {},
+
+        /**
+         * Counter identifying the latest render of each wrapper
+         */
+        renderCounter: 0,
+
+        /**
+         * Delays before retrying a request that failed with a temporary error (ms)
+         */
+        retryDelays: [1000, 3000],
+
+        /**
+         * Years offered on either side of the shown year by the header's year picker
+         */
+        jumpYearRange: 5,
+
         /**
          * Initialize all calendar instances
          */
         init: function() {
             this.initializeCalendars();
-            this.registerEventData();
+
+            // Days are bucketed in the display timezone: redraw them when it changes
+            window.GCalEvents.on(window.GCalEvents.TIMEZONE, () => {
+                document.querySelectorAll('.gcal-calendar-wrapper, .gcal-list-wrapper').forEach(wrapper => {
+                    if (wrapper.id) {
+                        this.refreshTimezone(wrapper);
+                    }
+                });
+                this.updateNowLines(document);
+            });
+
+            // Keep the "now" line of week time grids in step with the clock
+            this.updateNowLines(document);
+            setInterval(() => {
+                this.updateNowLines(document);
+            }, 60000);
         },
 
         /**
@@ -49,6 +89,11 @@
                 return;
             }
 
+            // Remember the state the shortcode was rendered with, so Back can
+            // return to it once the URL no longer carries any calendar parameters
+            wrapper.dataset.initialPeriod = period;
+            wrapper.dataset.initialDisplay = wrapper.classList.contains('gcal-list-wrapper') ? 'list' : 'calendar';
+
             // Initialize date from URL parameters if available
             this.initializeDateFromURL(wrapper, period);
 
@@ -70,6 +115,40 @@
 
             // Set initial title
             this.updateTitle(wrapper);
+            this.updateNavButtons(wrapper);
+
+            // The server rendered exactly the initial period (the whole grid for a
+            // month), with its days in the site timezone
+            const currentDate = this.getCurrentDate(wrapper);
+            const fetchRange = this.getFetchRange(wrapper, currentDate);
+            this.setLoadedRange(wrapper, fetchRange, gcalData.settings.siteTimezone);
+
+            if (!this.hasLoadedRange(wrapper, fetchRange)) {
+                // Shown in a timezone whose days start at other moments: fetch
+                // and redraw the days as seen there
+                this.fetchAndRenderMonth(wrapper, currentDate);
+            } else {
+                if (window.GCalTimezone.userTimezone !== gcalData.settings.siteTimezone) {
+                    // Same days under another zone name: redraw from the events already loaded
+                    this.refreshTimezone(wrapper);
+                }
+
+                if (prevButton || nextButton) {
+                    // Have the neighbouring periods ready for the first prev/next click
+                    this.prefetchAdjacent(wrapper, currentDate);
+                }
+            }
+
+            // Bring working hours into view in server-rendered time grids
+            this.scrollTimeGrid(wrapper);
+
+            // Retry button of the error state
+            wrapper.addEventListener('click', (e) => {
+                if (e.target.closest('.gcal-retry-btn')) {
+                    e.preventDefault();
+                    this.fetchAndRenderMonth(wrapper, this.getCurrentDate(wrapper));
+                }
+            });
 
             // Set up view toggle buttons
             const viewButtons = wrapper.querySelectorAll('.gcal-view-btn');
@@ -79,6 +158,20 @@
                     this.switchView(wrapper, newView);
                 });
             });
+
+            // Set up the Today button and month/year picker
+            const todayButton = wrapper.querySelector('.gcal-nav-today');
+            if (todayButton) {
+                todayButton.addEventListener('click', () => {
+                    this.goToToday(wrapper);
+                });
+            }
+
+            wrapper.querySelectorAll('.gcal-jump-month, .gcal-jump-year').forEach(select => {
+                select.addEventListener('change', () => {
+                    this.jumpToPickedMonth(wrapper);
+                });
+            });
         },
 
         /**
@@ -88,41 +181,64 @@
          * @param {string} period - Period type
          */
         initializeDateFromURL: function(wrapper, period) {
-            const url = new URL(window.location);
-            const yearParam = url.searchParams.get('gcal_year');
-            const monthParam = url.searchParams.get('gcal_month');
+            const date = this.getDateFromURL(wrapper, period);
 
             // If no URL parameters, use current date
-            if (!yearParam) {
+            if (!date) {
                 return;
             }
 
-            let date = new Date();
+            // Store the date
+            wrapper.dataset.currentDate = date.toISOString();
 
-            try {
-                const year = parseInt(yearParam, 10);
-
-                if (period === 'year') {
-                    date = new Date(year, 0, 1); // January 1st of the specified year
-                } else if (period === 'month' && monthParam) {
-                    const month = parseInt(monthParam, 10) - 1; // 0-indexed
-                    date = new Date(year, month, 1);
-                } else if (period === 'week' && monthParam) {
-                    const month = parseInt(monthParam, 10) - 1;
-                    const weekParam = url.searchParams.get('gcal_week');
-                    const week = weekParam ? parseInt(weekParam, 10) : 1;
-                    // Approximate the week start date
-                    const day = (week - 1) * 7 + 1;
-                    date = new Date(year, month, day);
-                }
-
-                // Store the date
-                wrapper.dataset.currentDate = date.toISOString();
-
-                console.log(`Initialized ${period} view with date from URL:`, date);
-            } catch (e) {
-                console.error('Failed to parse date from URL:', e);
+            console.log(`Initialized ${period} view with date from URL:`, date);
+        },
+
+        /**
+         * Read the date of a period from the instance's URL parameters
+         *
+         * This is the inverse of buildURL().
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {string} period - Period type
+         * @returns {Date|null} Date, or null if the URL has no date parameters
+         */
+        getDateFromURL: function(wrapper, period) {
+            const url = new URL(window.location);
+            const param = name => this.getParamName(wrapper, name);
+            const yearParam = url.searchParams.get(param('year'));
+            const monthParam = url.searchParams.get(param('month'));
+
+            if (!yearParam) {
+                return null;
+            }
+
+            const year = parseInt(yearParam, 10);
+
+            if (isNaN(year)) {
+                console.error('Failed to parse date from URL:', yearParam);
+                return null;
+            }
+
+            if (period === 'year') {
+                return new Date(year, 0, 1); // January 1st of the specified year
+            } else if (period === 'month' && monthParam) {
+                const month = parseInt(monthParam, 10) - 1; // 0-indexed
+                return new Date(year, month, 1);
+            } else if ((period === 'day' || period === 'upcoming') && monthParam) {
+                const month = parseInt(monthParam, 10) - 1;
+                const dayParam = url.searchParams.get(param('day'));
+                return new Date(year, month, dayParam ? parseInt(dayParam, 10) : 1);
+            } else if (period === 'week' && monthParam) {
+                const month = parseInt(monthParam, 10) - 1;
+                const weekParam = url.searchParams.get(param('week'));
+                const week = weekParam ? parseInt(weekParam, 10) : 1;
+                // Approximate the week start date
+                const day = (week - 1) * 7 + 1;
+                return new Date(year, month, day);
             }
+
+            return this.getInitialDate(period);
         },
 
         /**
@@ -133,11 +249,114 @@
          */
         navigatePeriod: function(wrapper, direction) {
             const period = wrapper.dataset.period;
-            const currentDate = this.getCurrentDate(wrapper);
+            const newDate = this.getAdjacentDate(wrapper, this.getCurrentDate(wrapper), direction);
+
+            if (!newDate) {
+                return;
+            }
 
-            let newDate = new Date(currentDate);
+            // Store new date
+            wrapper.dataset.currentDate = newDate.toISOString();
+            this.updateNavButtons(wrapper);
+            window.GCalEvents.emit(window.GCalEvents.NAVIGATE, wrapper);
 
-            if (period === 'week') {
+            // Update URL to reflect new date
+            this.updateURL(wrapper, period, newDate);
+
+            // Update title
+            this.updateTitle(wrapper, newDate);
+
+            // Fetch events for the new period and re-render
+            this.fetchAndRenderMonth(wrapper, newDate);
+        },
+
+        /**
+         * Show the period containing a date, keeping the current period type
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date to show
+         * @returns {Promise} Resolves once the period is rendered
+         */
+        goToDate: function(wrapper, date) {
+            const period = wrapper.dataset.period;
+
+            this.updateURL(wrapper, period, date);
+            return this.showPeriod(wrapper, period, date);
+        },
+
+        /**
+         * Show the period containing today
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         */
+        goToToday: function(wrapper) {
+            const today = this.getInitialDate(wrapper.dataset.period);
+            const range = this.getPeriodRange(wrapper, this.getCurrentDate(wrapper));
+
+            // Already there: nothing to render and no history entry to add
+            if (today >= range.start && today < range.end) {
+                return;
+            }
+
+            this.goToDate(wrapper, today);
+        },
+
+        /**
+         * Show the month (or year) chosen in the header's picker
+         *
+         * Jumping to the current month lands on today, so week and day views
+         * open on the current week or day rather than on the 1st.
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         */
+        jumpToPickedMonth: function(wrapper) {
+            const period = wrapper.dataset.period;
+            const monthSelect = wrapper.querySelector('.gcal-jump-month');
+            const yearSelect = wrapper.querySelector('.gcal-jump-year');
+            const year = parseInt(yearSelect.value, 10);
+            const month = period === 'year' ? 0 : parseInt(monthSelect.value, 10);
+            const today = this.getInitialDate(period);
+
+            let date = new Date(year, month, 1);
+            if (year === today.getFullYear() && (month === today.getMonth() || period === 'year')) {
+                date = today;
+            }
+
+            // The upcoming agenda never starts before today
+            if (period === 'upcoming' && date < today) {
+                date = today;
+            }
+
+            this.goToDate(wrapper, date);
+        },
+
+        /**
+         * Get the date of the previous or next period
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date of the current period
+         * @param {number} direction - Direction (-1 for prev, 1 for next)
+         * @returns {Date|null} New date, or null if the period cannot move that way
+         */
+        getAdjacentDate: function(wrapper, date, direction) {
+            const period = wrapper.dataset.period;
+            let newDate = new Date(date);
+
+            if (period === 'upcoming') {
+                // Move by the window length, but never start before today
+                newDate.setDate(newDate.getDate() + (this.getUpcomingDays(wrapper) * direction));
+
+                const today = window.GCalTimezone.getToday();
+                if (newDate < today) {
+                    newDate = today;
+                }
+                if (newDate.getTime() === date.getTime()) {
+                    return null;
+                }
+            } else if (period === 'day') {
+                // Move by 1 day
+                newDate.setDate(newDate.getDate() + direction);
+            } else if (period === 'week') {
                 // Move by 7 days
                 newDate.setDate(newDate.getDate() + (7 * direction));
             } else if (period === 'month') {
@@ -147,54 +366,58 @@
                 // Move by 1 year
                 newDate.setFullYear(newDate.getFullYear() + direction);
             } else {
-                return;
+                return null;
             }
 
-            // Store new date
-            wrapper.dataset.currentDate = newDate.toISOString();
-
-            // Update URL to reflect new date
-            this.updateURL(period, newDate);
-
-            // Check if sidebar exists (which will trigger a reload)
-            const hasSidebar = wrapper.closest('.gcal-wrapper-with-sidebar.has-sidebar');
-
-            // Only update UI if we're NOT going to reload the page
-            if (!hasSidebar) {
-                // Update title
-                this.updateTitle(wrapper, newDate);
-
-                // Show loading state
-                wrapper.classList.add('loading');
-            }
+            return newDate;
+        },
 
-            // Fetch events for the new period and re-render
-            this.fetchAndRenderMonth(wrapper, newDate);
+        /**
+         * Get the name of one of the instance's URL parameters
+         *
+         * Each calendar on a page keeps its own gcal_* parameters; the prefix
+         * comes from the shortcode (see GCal_Shortcode::get_url_prefix()).
+         *
+         * @param {HTMLElement} wrapper - Calendar or list wrapper
+         * @param {string} name - Parameter name without prefix, e.g. 'year'
+         * @returns {string} Full parameter name, e.g. 'gcal_talks_year'
+         */
+        getParamName: function(wrapper, name) {
+            return (wrapper.dataset.urlPrefix || 'gcal_') + name;
         },
 
         /**
          * Build URL with period and date parameters
          *
-         * @param {string} period - Period type (week/month/year)
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {string} period - Period type (day/week/month/year)
          * @param {Date} date - Current date
          * @returns {URL} URL object with updated parameters
          */
-        buildURL: function(period, date) {
+        buildURL: function(wrapper, period, date) {
             const url = new URL(window.location);
+            const param = name => this.getParamName(wrapper, name);
 
             // Always include the view period
-            url.searchParams.set('gcal_view', period);
+            url.searchParams.set(param('view'), period);
 
             // Add date parameters based on period
             if (period === 'year') {
-                url.searchParams.set('gcal_year', date.getFullYear());
-                // Remove month/week params if they exist
-                url.searchParams.delete('gcal_month');
-                url.searchParams.delete('gcal_week');
+                url.searchParams.set(param('year'), date.getFullYear());
+                // Remove month/week/day params if they exist
+                url.searchParams.delete(param('month'));
+                url.searchParams.delete(param('week'));
+                url.searchParams.delete(param('day'));
             } else if (period === 'month') {
-                url.searchParams.set('gcal_year', date.getFullYear());
-                url.searchParams.set('gcal_month', date.getMonth() + 1); // 1-indexed for URL
-                url.searchParams.delete('gcal_week');
+                url.searchParams.set(param('year'), date.getFullYear());
+                url.searchParams.set(param('month'), date.getMonth() + 1); // 1-indexed for URL
+                url.searchParams.delete(param('week'));
+                url.searchParams.delete(param('day'));
+            } else if (period === 'day' || period === 'upcoming') {
+                url.searchParams.set(param('year'), date.getFullYear());
+                url.searchParams.set(param('month'), date.getMonth() + 1); // 1-indexed for URL
+                url.searchParams.set(param('day'), date.getDate());
+                url.searchParams.delete(param('week'));
             } else if (period === 'week') {
                 // For week, we need to find which week of the month this date belongs to
                 // This MUST match the PHP logic exactly
@@ -219,9 +442,10 @@
                 const daysDiff = Math.floor((date - weekStartOfWeek1) / (1000 * 60 * 60 * 24));
                 const weekNumber = Math.floor(daysDiff / 7) + 1;
 
-                url.searchParams.set('gcal_year', year);
-                url.searchParams.set('gcal_month', month + 1); // 1-indexed for URL
-                url.searchParams.set('gcal_week', weekNumber);
+                url.searchParams.set(param('year'), year);
+                url.searchParams.set(param('month'), month + 1); // 1-indexed for URL
+                url.searchParams.set(param('week'), weekNumber);
+                url.searchParams.delete(param('day'));
             }
 
             return url;
@@ -230,392 +454,1717 @@
         /**
          * Update URL with current period and date (without reload)
          *
-         * @param {string} period - Period type (week/month/year)
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {string} period - Period type (day/week/month/year)
          * @param {Date} date - Current date
          */
-        updateURL: function(period, date) {
-            const url = this.buildURL(period, date);
+        updateURL: function(wrapper, period, date) {
+            const url = this.buildURL(wrapper, period, date);
             // Update URL without reload
             window.history.pushState({}, '', url);
         },
 
         /**
-         * Switch calendar view (week/month/year)
+         * Switch calendar view (day/week/month/year) in place
+         *
+         * Renders straight from the events already loaded when they cover the new
+         * period, otherwise fetches them first.
          *
          * @param {HTMLElement} wrapper - Calendar wrapper
-         * @param {string} newView - New view type (week/month/year)
+         * @param {string} newView - New view type (day/week/month/year)
          */
         switchView: function(wrapper, newView) {
             const currentView = wrapper.dataset.period;
 
             if (currentView === newView) return;
 
-            // Show loading
-            wrapper.classList.add('loading');
-
             // Get current date to preserve when switching views
             const currentDate = this.getCurrentDate(wrapper);
 
-            // Build the new URL with the view and date parameters
-            const url = this.buildURL(newView, currentDate);
+            // Update URL so the new view can be bookmarked and shared
+            this.updateURL(wrapper, newView, currentDate);
 
-            // Navigate to the new URL (this will reload with correct parameters)
-            window.location.href = url.toString();
+            this.showPeriod(wrapper, newView, currentDate);
         },
 
         /**
-         * Get current date for calendar
+         * Show a period and date in place, without touching the URL
          *
          * @param {HTMLElement} wrapper - Calendar wrapper
-         * @returns {Date} Current date
+         * @param {string} period - Period type (day/week/month/year/upcoming)
+         * @param {Date} date - Date to show
+         * @returns {Promise} Resolves once the period is rendered
          */
-        getCurrentDate: function(wrapper) {
-            const storedDate = wrapper.dataset.currentDate;
+        showPeriod: function(wrapper, period, date) {
+            wrapper.dataset.period = period;
+            wrapper.dataset.currentDate = date.toISOString();
 
-            if (storedDate) {
-                return new Date(storedDate);
+            wrapper.querySelectorAll('.gcal-view-btn').forEach(button => {
+                button.classList.toggle('active', button.dataset.view === period);
+            });
+
+            const gridContainer = wrapper.querySelector('.gcal-calendar-grid');
+            if (gridContainer) {
+                gridContainer.dataset.currentView = period;
+            }
+
+            this.updateTitle(wrapper, date);
+            this.updateNavButtons(wrapper);
+            window.GCalEvents.emit(window.GCalEvents.NAVIGATE, wrapper);
+
+            if (this.hasLoadedRange(wrapper, this.getPeriodRange(wrapper, date))) {
+                // Supersede any fetch still on its way for an earlier period
+                this.startRender(wrapper);
+                wrapper.classList.remove('loading');
+
+                this.renderCalendarGrid(wrapper, date);
+                this.reapplyCategoryFilter(wrapper);
+                return Promise.resolve();
             }
 
-            return new Date();
+            return this.fetchAndRenderMonth(wrapper, date);
         },
 
         /**
-         * Update calendar with new date
+         * Restore period, date and display style from the URL
          *
-         * @param {HTMLElement} wrapper - Calendar wrapper
-         * @param {Date} date - New date
+         * Used when the browser moves through history. Parameters missing from
+         * the URL fall back to what the shortcode was rendered with.
+         *
+         * @param {HTMLElement} wrapper - Calendar or list wrapper
+         * @returns {Promise} Resolves once the restored period is rendered
          */
-        updateCalendar: function(wrapper, date) {
-            // Show loading state
-            wrapper.classList.add('loading');
+        restoreFromURL: function(wrapper) {
+            const url = new URL(window.location);
+            const period = url.searchParams.get(this.getParamName(wrapper, 'view')) || wrapper.dataset.initialPeriod;
+            const date = this.getDateFromURL(wrapper, period) || this.getInitialDate(period);
+
+            // Only follow the display parameter where the display toggle is offered, as on the server
+            let displayChanged = false;
+            const container = wrapper.closest('.gcal-wrapper-with-sidebar');
+            if (container && container.querySelector('.gcal-display-btn')) {
+                const display = url.searchParams.get(this.getParamName(wrapper, 'display')) || wrapper.dataset.initialDisplay;
+                if ((display === 'list' || display === 'calendar') &&
+                    wrapper.classList.contains('gcal-list-wrapper') !== (display === 'list')) {
+                    this.applyDisplay(wrapper, display);
+                    displayChanged = true;
+                }
+            }
 
-            // Update title
-            this.updateTitle(wrapper, date);
+            const currentDate = this.getCurrentDate(wrapper);
+            if (period === wrapper.dataset.period && date.getTime() === currentDate.getTime()) {
+                if (displayChanged) {
+                    this.renderCalendarGrid(wrapper, date);
+                    this.reapplyCategoryFilter(wrapper);
+                }
+                return Promise.resolve();
+            }
 
-            // In a real implementation, this would fetch new events from the server
-            // For now, we'll just update the title and hide loading
-            setTimeout(() => {
-                wrapper.classList.remove('loading');
-            }, 500);
+            return this.showPeriod(wrapper, period, date);
         },
 
         /**
-         * Update calendar title
+         * Get the date a period starts on when the URL does not name one
          *
-         * @param {HTMLElement} wrapper - Calendar wrapper
-         * @param {Date} date - Optional date (defaults to current)
+         * @param {string} period - Period type
+         * @returns {Date} Today in the display timezone, at local midnight
          */
-        updateTitle: function(wrapper, date = null) {
-            const titleElement = wrapper.querySelector('.gcal-calendar-title, .gcal-list-title');
+        getInitialDate: function(period) {
+            return window.GCalTimezone.getToday();
+        },
 
-            if (!titleElement) return;
+        /**
+         * Switch between calendar and list display in place
+         *
+         * Swaps the wrapper between the calendar and list markup and re-renders
+         * the events already loaded, so no request is needed.
+         *
+         * @param {HTMLElement} wrapper - Calendar or list wrapper
+         * @param {string} display - Display style ('calendar' or 'list')
+         */
+        switchDisplay: function(wrapper, display) {
+            if (wrapper.classList.contains('gcal-list-wrapper') === (display === 'list')) return;
 
-            const currentDate = date || this.getCurrentDate(wrapper);
-            const period = wrapper.dataset.period;
+            // Update URL so the display style can be bookmarked and shared
+            const url = new URL(window.location);
+            url.searchParams.set(this.getParamName(wrapper, 'display'), display);
+            window.history.pushState({}, '', url);
 
-            let title = '';
+            this.applyDisplay(wrapper, display);
 
-            if (period === 'week') {
-                // Show week range (week start day to week end day)
-                const weekStartsOn = gcalData.settings.weekStartsOn; // 0=Sunday, 1=Monday, etc.
-                const dayOfWeek = currentDate.getDay();
-                const weekStart = new Date(currentDate);
-                // Calculate days to subtract to reach week start
-                const diff = (dayOfWeek - weekStartsOn + 7) % 7;
-                weekStart.setDate(currentDate.getDate() - diff);
+            const currentDate = this.getCurrentDate(wrapper);
+            this.renderCalendarGrid(wrapper, currentDate);
+            this.reapplyCategoryFilter(wrapper);
+        },
 
-                const weekEnd = new Date(weekStart);
-                weekEnd.setDate(weekStart.getDate() + 6);
+        /**
+         * Swap the wrapper markup between calendar and list display
+         *
+         * Leaves the URL alone and does not render; callers re-render afterwards.
+         *
+         * @param {HTMLElement} wrapper - Calendar or list wrapper
+         * @param {string} display - Display style ('calendar' or 'list')
+         */
+        applyDisplay: function(wrapper, display) {
+            const toList = display === 'list';
 
-                const formatter = new Intl.DateTimeFormat('fr-FR', {
-                    month: 'short',
-                    day: 'numeric'
-                });
+            if (wrapper.classList.contains('gcal-list-wrapper') === toList) return;
 
-                title = formatter.format(weekStart) + ' - ' + formatter.format(weekEnd);
-            } else if (period === 'month') {
-                // Show month and year
-                const formatter = new Intl.DateTimeFormat('fr-FR', {
-                    month: 'long',
-                    year: 'numeric'
-                });
+            wrapper.classList.toggle('gcal-list-wrapper', toList);
+            wrapper.classList.toggle('gcal-calendar-wrapper', !toList);
 
-                title = formatter.format(currentDate);
-            } else {
-                // Year view
-                const formatter = new Intl.DateTimeFormat('fr-FR', {
-                    year: 'numeric'
-                });
-                title = formatter.format(currentDate);
+            const header = wrapper.querySelector('.gcal-calendar-header, .gcal-list-header');
+            if (header) {
+                header.className = toList ? 'gcal-list-header' : 'gcal-calendar-header';
             }
 
-            titleElement.textContent = title;
+            const title = wrapper.querySelector('.gcal-calendar-title, .gcal-list-title');
+            if (title) {
+                title.className = toList ? 'gcal-list-title' : 'gcal-calendar-title';
+            }
+
+            const loading = wrapper.querySelector('.gcal-calendar-loading, .gcal-list-loading');
+            if (loading) {
+                loading.className = toList ? 'gcal-list-loading' : 'gcal-calendar-loading';
+            }
+
+            const content = wrapper.querySelector('.gcal-calendar-grid, .gcal-list');
+            if (content) {
+                const replacement = document.createElement('div');
+                replacement.className = toList ? 'gcal-list' : 'gcal-calendar-grid';
+                if (!toList) {
+                    replacement.dataset.currentView = wrapper.dataset.period;
+                }
+                content.replaceWith(replacement);
+            }
+
+            const container = wrapper.closest('.gcal-wrapper-with-sidebar');
+            if (container) {
+                container.querySelectorAll('.gcal-display-btn').forEach(button => {
+                    button.classList.toggle('active', button.dataset.display === display);
+                });
+            }
         },
 
         /**
-         * Fetch events for a specific month and render
+         * Re-apply the category filter from the URL after re-rendering
          *
          * @param {HTMLElement} wrapper - Calendar wrapper
-         * @param {Date} date - Date to fetch events for
          */
-        fetchAndRenderMonth: function(wrapper, date) {
-            const period = wrapper.dataset.period;
-            const year = date.getFullYear();
-            const month = date.getMonth() + 1; // JavaScript months are 0-indexed
-
-            // Check if there's a category sidebar
-            const hasSidebar = wrapper.closest('.gcal-wrapper-with-sidebar.has-sidebar');
-
-            // If sidebar exists, reload the page so PHP can re-render the sidebar
-            // with categories that match the new period's events
-            if (hasSidebar) {
-                this.updateURL(period, date);
-                window.location.reload();
-                return;
+        reapplyCategoryFilter: function(wrapper) {
+            const activeCategory = window.GCalCategoryFilter ?
+                window.GCalCategoryFilter.getSelectedCategory(wrapper.id) :
+                '';
+
+            if (activeCategory && window.GCalCategoryFilter) {
+                console.log(`Re-applying category filter: ${activeCategory}`);
+                window.GCalCategoryFilter.filterEvents(activeCategory, wrapper.id);
             }
+        },
 
-            // For year view, fetch entire year; for month/week, fetch specific month
-            if (period === 'year') {
-                console.log(`Fetching events for year ${year}`);
-            } else {
-                console.log(`Fetching events for ${year}-${month}`);
-            }
+        /**
+         * Redraw a calendar or list after the display timezone changed
+         *
+         * Renders from the events already loaded when they were fetched for
+         * the days of that timezone, otherwise fetches them first.
+         *
+         * @param {HTMLElement} wrapper - Calendar or list wrapper
+         * @returns {Promise} Resolves once the period is rendered
+         */
+        refreshTimezone: function(wrapper) {
+            const date = this.getCurrentDate(wrapper);
 
-            // Prepare AJAX request
-            const formData = new FormData();
-            formData.append('action', 'gcal_fetch_events');
-            formData.append('nonce', gcalData.nonce);
-            formData.append('year', year);
+            this.updateNavButtons(wrapper);
 
-            // Only add month parameter for month/week views
-            if (period !== 'year') {
-                formData.append('month', month);
+            if (this.hasLoadedRange(wrapper, this.getFetchRange(wrapper, date))) {
+                this.startRender(wrapper);
+                this.renderCalendarGrid(wrapper, date);
+                this.reapplyCategoryFilter(wrapper);
+                return Promise.resolve();
             }
 
-            fetch(gcalData.ajaxUrl, {
-                method: 'POST',
-                body: formData
-            })
-            .then(response => response.json())
-            .then(data => {
-                if (data.success) {
-                    console.log(`Received ${data.data.count} events for ${year}-${month}:`, data.data.events);
+            return this.fetchAndRenderMonth(wrapper, date);
+        },
 
-                    // Update the wrapper's events data
-                    wrapper.dataset.events = JSON.stringify(data.data.events);
+        /**
+         * Remember which moments the wrapper's events data covers
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Object} range - { start, end } days with an exclusive end
+         * @param {string} [timeZone] - Timezone of the days (defaults to the display timezone)
+         */
+        setLoadedRange: function(wrapper, range, timeZone = window.GCalTimezone.userTimezone) {
+            wrapper.dataset.loadedStart = window.GCalTimezone.getDayStart(range.start, timeZone).getTime();
+            wrapper.dataset.loadedEnd = window.GCalTimezone.getDayStart(range.end, timeZone).getTime();
+        },
 
-                    // Re-render the calendar grid
-                    this.renderCalendarGrid(wrapper, date);
+        /**
+         * Check whether the wrapper's events data covers a range of days
+         *
+         * The days are compared as the moments they start in the display
+         * timezone, so days loaded under another zone name with the same
+         * offset still count.
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Object} range - { start, end } days with an exclusive end
+         * @returns {boolean} True if no fetch is needed
+         */
+        hasLoadedRange: function(wrapper, range) {
+            if (!wrapper.dataset.loadedStart || !wrapper.dataset.loadedEnd) return false;
+
+            const loadedStart = Number(wrapper.dataset.loadedStart);
+            const loadedEnd = Number(wrapper.dataset.loadedEnd);
+            const start = window.GCalTimezone.getDayStart(range.start).getTime();
+            const end = window.GCalTimezone.getDayStart(range.end).getTime();
+
+            return loadedStart <= start && end <= loadedEnd;
+        },
+
+        /**
+         * Get the range of days to fetch for the period shown
+         *
+         * Exactly the days on screen: the period itself, or for a month the
+         * whole grid including the neighbouring months' days.
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date being fetched
+         * @returns {Object} { start, end } with an exclusive end
+         */
+        getFetchRange: function(wrapper, date) {
+            if (wrapper.dataset.period === 'month') {
+                return this.getMonthGridRange(date);
+            }
+
+            return this.getPeriodRange(wrapper, date);
+        },
+
+        /**
+         * Get the days shown by the month grid of a date
+         *
+         * Six weeks from the configured week start on or before the 1st.
+         * This MUST match render_month_view() and the 'month' range of
+         * GCal_Calendar::get_time_range() in PHP.
+         *
+         * @param {Date} date - Any date in the month
+         * @returns {Object} { start, end } as local-midnight Date objects, end exclusive
+         */
+        getMonthGridRange: function(date) {
+            const firstDay = new Date(date.getFullYear(), date.getMonth(), 1);
+            const offset = (firstDay.getDay() - gcalData.settings.weekStartsOn + 7) % 7;
+
+            return {
+                start: new Date(firstDay.getFullYear(), firstDay.getMonth(), 1 - offset),
+                end: new Date(firstDay.getFullYear(), firstDay.getMonth(), 1 - offset + 42)
+            };
+        },
+
+        /**
+         * Get the number of days shown by an upcoming agenda
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @returns {number} Window length in days
+         */
+        getUpcomingDays: function(wrapper) {
+            return parseInt(wrapper.dataset.days, 10) || 14;
+        },
+
+        /**
+         * Bring the header controls in line with the period shown
+         *
+         * Disables the previous button where the period cannot go back (the
+         * upcoming agenda always starts today or later) and syncs the picker.
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         */
+        updateNavButtons: function(wrapper) {
+            const prevButton = wrapper.querySelector('.gcal-nav-prev');
+            const currentDate = this.getCurrentDate(wrapper);
+
+            if (prevButton && wrapper.dataset.period === 'upcoming') {
+                prevButton.disabled = currentDate <= window.GCalTimezone.getToday();
+            }
+
+            this.updateDateJump(wrapper, currentDate);
+        },
+
+        /**
+         * Fill the header's month/year picker and select the date shown
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date of the period shown
+         */
+        updateDateJump: function(wrapper, date) {
+            const monthSelect = wrapper.querySelector('.gcal-jump-month');
+            const yearSelect = wrapper.querySelector('.gcal-jump-year');
+
+            if (!monthSelect || !yearSelect) return;
+
+            if (!monthSelect.options.length) {
+                this.getDateNames(wrapper).months.forEach((name, index) => {
+                    monthSelect.add(new Option(name.charAt(0).toUpperCase() + name.slice(1), index));
+                });
+            }
+
+            // The year view has no month to pick
+            monthSelect.hidden = wrapper.dataset.period === 'year';
+            monthSelect.value = String(date.getMonth());
+
+            // Offer a window of years around the one shown (none before this
+            // year for the upcoming agenda)
+            const year = date.getFullYear();
+            let firstYear = year - this.jumpYearRange;
+            if (wrapper.dataset.period === 'upcoming') {
+                firstYear = Math.max(firstYear, window.GCalTimezone.getToday().getFullYear());
+            }
+
+            yearSelect.innerHTML = '';
+            for (let optionYear = firstYear; optionYear <= year + this.jumpYearRange; optionYear++) {
+                yearSelect.add(new Option(String(optionYear), String(optionYear)));
+            }
+            yearSelect.value = String(year);
+        },
+
+        /**
+         * Get current date for calendar
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @returns {Date} Current date
+         */
+        getCurrentDate: function(wrapper) {
+            const storedDate = wrapper.dataset.currentDate;
+
+            if (storedDate) {
+                return new Date(storedDate);
+            }
+
+            return this.getInitialDate(wrapper.dataset.period);
+        },
+
+        /**
+         * Update calendar with new date
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - New date
+         */
+        updateCalendar: function(wrapper, date) {
+            // Show loading state
+            wrapper.classList.add('loading');
+
+            // Update title
+            this.updateTitle(wrapper, date);
+
+            // In a real implementation, this would fetch new events from the server
+            // For now, we'll just update the title and hide loading
+            setTimeout(() => {
+                wrapper.classList.remove('loading');
+            }, 500);
+        },
+
+        /**
+         * Get the locale a calendar formats dates in
+         *
+         * @param {HTMLElement} [wrapper] - Calendar wrapper
+         * @returns {string|undefined} BCP 47 language tag (see GCalTimezone.getLocale())
+         */
+        getLocale: function(wrapper) {
+            return window.GCalTimezone ? window.GCalTimezone.getLocale(wrapper) : undefined;
+        },
+
+        /**
+         * Get the weekday and month names of a calendar
+         *
+         * A calendar rendered with the shortcode's locale attribute carries its
+         * own names (translated by the server in that locale) in its
+         * data-date-names attribute; otherwise the site's from gcalData.i18n.
+         *
+         * @param {HTMLElement} [element] - Calendar wrapper or an element inside it
+         * @returns {Object} { weekdaysShort, months, monthsShort, weekdaysShortDot, meridiem, dayHeadingFormat, dateFormatNames }
+         */
+        getDateNames: function(element) {
+            const wrapper = element && element.closest ? element.closest('[data-date-names]') : null;
+
+            if (wrapper) {
+                try {
+                    return Object.assign({}, gcalData.i18n, JSON.parse(wrapper.dataset.dateNames));
+                } catch (e) {
+                    console.warn('GCal: Invalid date names for', wrapper.id, e);
+                }
+            }
+
+            return gcalData.i18n;
+        },
+
+        /**
+         * Format a calendar day with a WordPress (PHP) date format
+         *
+         * Gives the same text as the server's wp_date() for the day and month
+         * characters (d, D, j, l, N, w, F, m, M, n, Y, y and escaped characters).
+         *
+         * @param {Date} day - Calendar day, as a local-midnight Date
+         * @param {string} format - PHP date format, e.g. "l, F j"
+         * @param {Object} [names] - Date names (see getDateNames())
+         * @returns {string} Formatted date (e.g., "Monday, January 5")
+         */
+        formatWPDate: function(day, format, names = this.getDateNames()) {
+            const formatNames = names.dateFormatNames;
+            // Months declined as wp_maybe_decline_date() does
+            const months = formatNames.declineMonths && /[dj]\.? F/.test(format) ? formatNames.monthGenitive : formatNames.month;
+            const pad = value => String(value).padStart(2, '0');
+            let output = '';
+
+            for (let i = 0; i < format.length; i++) {
+                const char = format[i];
+
+                switch (char) {
+                    case 'd': output += pad(day.getDate()); break;
+                    case 'D': output += formatNames.weekdayAbbrev[day.getDay()]; break;
+                    case 'j': output += day.getDate(); break;
+                    case 'l': output += formatNames.weekday[day.getDay()]; break;
+                    case 'N': output += day.getDay() || 7; break;
+                    case 'w': output += day.getDay(); break;
+                    case 'F': output += months[day.getMonth()]; break;
+                    case 'm': output += pad(day.getMonth() + 1); break;
+                    case 'M': output += formatNames.monthAbbrev[day.getMonth()]; break;
+                    case 'n': output += day.getMonth() + 1; break;
+                    case 'Y': output += day.getFullYear(); break;
+                    case 'y': output += String(day.getFullYear()).slice(-2); break;
+                    case '\\': output += format[++i] || ''; break;
+                    default: output += char;
+                }
+            }
+
+            return output;
+        },
+
+        /**
+         * Update calendar title
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Optional date (defaults to current)
+         */
+        updateTitle: function(wrapper, date = null) {
+            const titleElement = wrapper.querySelector('.gcal-calendar-title, .gcal-list-title');
+
+            if (!titleElement) return;
+
+            const currentDate = date || this.getCurrentDate(wrapper);
+            const period = wrapper.dataset.period;
+
+            const locale = this.getLocale(wrapper);
+            let title = '';
+
+            if (period === 'upcoming') {
+                // Show the first and last day of the window
+                const windowEnd = new Date(currentDate);
+                windowEnd.setDate(currentDate.getDate() + this.getUpcomingDays(wrapper) - 1);
+
+                const formatter = new Intl.DateTimeFormat(locale, {
+                    month: 'short',
+                    day: 'numeric'
+                });
+
+                title = formatter.format(currentDate) + ' - ' + formatter.format(windowEnd);
+            } else if (period === 'day') {
+                // Show the full date, including the weekday
+                const formatter = new Intl.DateTimeFormat(locale, {
+                    weekday: 'long',
+                    day: 'numeric',
+                    month: 'long',
+                    year: 'numeric'
+                });
+
+                title = formatter.format(currentDate);
+            } else if (period === 'week') {
+                // Show week range (week start day to week end day)
+                const weekStartsOn = gcalData.settings.weekStartsOn; // 0=Sunday, 1=Monday, etc.
+                const dayOfWeek = currentDate.getDay();
+                const weekStart = new Date(currentDate);
+                // Calculate days to subtract to reach week start
+                const diff = (dayOfWeek - weekStartsOn + 7) % 7;
+                weekStart.setDate(currentDate.getDate() - diff);
+
+                const weekEnd = new Date(weekStart);
+                weekEnd.setDate(weekStart.getDate() + 6);
+
+                const formatter = new Intl.DateTimeFormat(locale, {
+                    month: 'short',
+                    day: 'numeric'
+                });
+
+                title = formatter.format(weekStart) + ' - ' + formatter.format(weekEnd);
+            } else if (period === 'month') {
+                // Show month and year
+                const formatter = new Intl.DateTimeFormat(locale, {
+                    month: 'long',
+                    year: 'numeric'
+                });
+
+                title = formatter.format(currentDate);
+            } else {
+                // Year view
+                const formatter = new Intl.DateTimeFormat(locale, {
+                    year: 'numeric'
+                });
+                title = formatter.format(currentDate);
+            }
+
+            titleElement.textContent = title;
+        },
+
+        /**
+         * Fetch events for a specific month and render
+         *
+         * Shows the loading state only when the events are not cached, and
+         * prefetches the neighbouring periods once rendered.
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date to fetch events for
+         * @returns {Promise} Resolves once the events are rendered
+         */
+        fetchAndRenderMonth: function(wrapper, date) {
+            const renderId = this.startRender(wrapper);
+
+            if (!this.getCachedEvents(this.getCacheKey(wrapper, date))) {
+                wrapper.classList.add('loading');
+            }
+
+            return this.fetchEvents(wrapper, date)
+            .then(events => {
+                // A later navigation owns the wrapper now; its own render will follow
+                if (!this.isCurrentRender(wrapper, renderId)) {
+                    return;
+                }
+
+                // Rendering, filtering and the modal read the new events from the store
+                window.GCalEventStore.set(wrapper.id, events);
+
+                this.setLoadedRange(wrapper, this.getFetchRange(wrapper, date));
+
+                // Re-render the calendar grid
+                this.renderCalendarGrid(wrapper, date);
+
+                // Re-apply active category filter if one exists
+                this.reapplyCategoryFilter(wrapper);
+
+                // Remove loading spinner AFTER rendering is complete
+                // Use requestAnimationFrame to ensure DOM updates are done
+                requestAnimationFrame(() => {
+                    wrapper.classList.remove('loading');
+                });
+
+                this.prefetchAdjacent(wrapper, date);
+            })
+            .catch(error => {
+                console.error('AJAX error:', error);
+
+                if (!this.isCurrentRender(wrapper, renderId)) {
+                    return;
+                }
+
+                wrapper.classList.remove('loading');
+                this.renderErrorState(wrapper);
+            });
+        },
+
+        /**
+         * Mark the start of a new render of the wrapper
+         *
+         * Responses for any earlier render are ignored from now on, so quick
+         * clicks never leave the grid showing a different period than the title.
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @returns {string} ID of this render
+         */
+        startRender: function(wrapper) {
+            this.renderCounter++;
+            wrapper.dataset.renderId = String(this.renderCounter);
+            return wrapper.dataset.renderId;
+        },
+
+        /**
+         * Check whether a render is still the latest one for the wrapper
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {string} renderId - ID returned by startRender()
+         * @returns {boolean} True if no newer render has started
+         */
+        isCurrentRender: function(wrapper, renderId) {
+            return wrapper.dataset.renderId === renderId;
+        },
+
+        /**
+         * Replace the grid or list with an error message and a Retry button
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         */
+        renderErrorState: function(wrapper) {
+            const container = wrapper.querySelector('.gcal-calendar-grid, .gcal-list');
+
+            if (!container) return;
+
+            container.innerHTML = `<div class="gcal-error gcal-fetch-error" role="alert">
+                <p>${this.escapeHtml(gcalData.i18n.loadError)}</p>
+                <button type="button" class="gcal-retry-btn">${this.escapeHtml(gcalData.i18n.retry)}</button>
+            </div>`;
+        },
+
+        /**
+         * Fetch the events of a period, from the cache when possible
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date to fetch events for
+         * @returns {Promise<Array>} Resolves with the events, rejects on failure
+         */
+        fetchEvents: function(wrapper, date) {
+            const key = this.getCacheKey(wrapper, date);
+            const cached = this.getCachedEvents(key);
+
+            if (cached) {
+                console.log(`Using cached events for ${key}`);
+                return Promise.resolve(cached);
+            }
+
+            if (this.pendingRequests[key]) {
+                return this.pendingRequests[key];
+            }
+
+            const range = this.getRangeParams(this.getFetchRange(wrapper, date));
+
+            console.log(`Fetching events from ${range.start} to ${range.end}`);
+
+            // Read-only GET for the exact days shown (end exclusive), so HTTP caches can keep it
+            const url = new URL(gcalData.restUrl, window.location.href);
+            url.searchParams.set('start', range.start);
+            url.searchParams.set('end', range.end);
+            url.searchParams.set('tags', wrapper.dataset.tags || '');
+
+            // An expired entry is revalidated rather than downloaded again
+            const stale = this.getCacheEntry(key);
+            const headers = {};
+
+            // Anonymous visitors send no nonce: the route is public and their page may be cached
+            if (gcalData.restNonce) {
+                headers['X-WP-Nonce'] = gcalData.restNonce;
+            }
+
+            if (stale && stale.etag) {
+                headers['If-None-Match'] = stale.etag;
+            }
+
+            const request = this.fetchWithRetry(url.toString(), {
+                method: 'GET',
+                headers: headers,
+                credentials: 'same-origin'
+            })
+            .then(response => {
+                if (response.status === 304 && stale) {
+                    console.log(`Events for ${key} not modified`);
+
+                    this.setCachedEvents(key, stale.events, stale.etag);
+                    return stale.events;
+                }
+
+                return response.json().then(data => {
+                    if (!response.ok) {
+                        throw new Error('Failed to fetch events: ' + (data && data.message ? data.message : response.status));
+                    }
+
+                    console.log(`Received ${data.length} events for ${key}`);
+
+                    this.setCachedEvents(key, data, response.headers.get('ETag'));
+                    return data;
+                });
+            })
+            .finally(() => {
+                delete this.pendingRequests[key];
+            });
+
+            this.pendingRequests[key] = request;
+            return request;
+        },
+
+        /**
+         * Fetch a URL, retrying temporary failures with increasing delays
+         *
+         * Network errors, rate limiting and 5xx responses are retried; anything
+         * else (such as an expired nonce or a 304) is left to the caller.
+         *
+         * @param {string} url - Request URL
+         * @param {Object} options - fetch() options
+         * @param {number} [attempt=0] - Number of retries already made
+         * @returns {Promise<Response>} Resolves with the response
+         */
+        fetchWithRetry: function(url, options, attempt) {
+            attempt = attempt || 0;
+
+            return fetch(url, options)
+            .then(response => {
+                if (response.status === 429 || response.status >= 500) {
+                    const error = new Error(`Server responded with ${response.status}`);
+                    error.temporary = true;
+                    throw error;
+                }
+
+                return response;
+            }, error => {
+                // fetch() only rejects when the network request itself failed
+                error.temporary = true;
+                throw error;
+            })
+            .catch(error => {
+                if (!error.temporary || attempt >= this.retryDelays.length) {
+                    throw error;
+                }
+
+                console.warn(`Request failed, retrying in ${this.retryDelays[attempt]}ms:`, error);
+
+                return new Promise(resolve => {
+                    setTimeout(resolve, this.retryDelays[attempt]);
+                }).then(() => this.fetchWithRetry(url, options, attempt + 1));
+            });
+        },
+
+        /**
+         * Fetch the previous and next periods in the background
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date of the displayed period
+         */
+        prefetchAdjacent: function(wrapper, date) {
+            if (!this.getCacheDuration()) return;
+
+            [-1, 1].forEach(direction => {
+                const adjacentDate = this.getAdjacentDate(wrapper, date, direction);
+
+                if (adjacentDate) {
+                    this.fetchEvents(wrapper, adjacentDate).catch(error => {
+                        console.warn('Prefetch failed:', error);
+                    });
+                }
+            });
+        },
+
+        /**
+         * Get the cache key of a period: the wrapper's tags and the range of days its request covers
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date of the period
+         * @returns {string} Cache key, e.g. 'CONCERT|2025-09-29/2025-11-10'
+         */
+        getCacheKey: function(wrapper, date) {
+            const range = this.getRangeParams(this.getFetchRange(wrapper, date));
+            return `${wrapper.dataset.tags || ''}|${range.start}/${range.end}`;
+        },
+
+        /**
+         * Get the request bounds of a range of days
+         *
+         * The server reads bare dates as days of the site timezone. Days of
+         * another display timezone are sent as the moments they start there.
+         *
+         * @param {Object} range - { start, end } as local-midnight Date objects, end exclusive
+         * @returns {Object} { start, end } as ISO 8601 dates or date-times
+         */
+        getRangeParams: function(range) {
+            const timeZone = window.GCalTimezone.userTimezone;
+
+            if (timeZone === gcalData.settings.siteTimezone) {
+                return { start: this.formatDateKey(range.start), end: this.formatDateKey(range.end) };
+            }
+
+            const format = day => window.GCalTimezone.getDayStart(day, timeZone).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+
+            return { start: format(range.start), end: format(range.end) };
+        },
+
+        /**
+         * Get how long fetched events stay fresh
+         *
+         * Matches the server cache duration, so the browser never shows events
+         * older than a fresh request could return.
+         *
+         * @returns {number} Duration in milliseconds (0 disables caching)
+         */
+        getCacheDuration: function() {
+            return (parseInt(gcalData.settings.cacheDuration, 10) || 0) * 1000;
+        },
+
+        /**
+         * Read fresh events from the cache
+         *
+         * @param {string} key - Cache key
+         * @returns {Array|null} Events, or null if missing or expired
+         */
+        getCachedEvents: function(key) {
+            const entry = this.getCacheEntry(key);
+
+            if (!entry || entry.expires <= Date.now()) {
+                return null;
+            }
+
+            return entry.events;
+        },
+
+        /**
+         * Read a cache entry from memory, falling back to sessionStorage
+         *
+         * Expired entries are returned too, so their ETag can be revalidated.
+         *
+         * @param {string} key - Cache key
+         * @returns {Object|null} Entry with events, expires and etag, or null if missing
+         */
+        getCacheEntry: function(key) {
+            let entry = this.cache[key];
+
+            if (!entry) {
+                try {
+                    const stored = window.sessionStorage.getItem(this.getStorageKey(key));
+                    entry = stored ? JSON.parse(stored) : null;
+                } catch (e) {
+                    // Storage unavailable (private browsing, disabled cookies)
+                    entry = null;
+                }
+            }
+
+            if (entry) {
+                this.cache[key] = entry;
+            }
+
+            return entry;
+        },
+
+        /**
+         * Store events in the memory cache and sessionStorage
+         *
+         * @param {string} key - Cache key
+         * @param {Array} events - Events to store
+         * @param {string|null} [etag] - ETag of the response they came from
+         */
+        setCachedEvents: function(key, events, etag) {
+            const duration = this.getCacheDuration();
+
+            if (!duration) return;
+
+            const entry = { events: events, expires: Date.now() + duration, etag: etag || null };
+            this.cache[key] = entry;
+
+            try {
+                window.sessionStorage.setItem(this.getStorageKey(key), JSON.stringify(entry));
+            } catch (e) {
+                // Storage full or unavailable; the memory cache still works
+            }
+        },
+
+        /**
+         * Get the sessionStorage key of a cache entry
+         *
+         * The visitor's scope (public, or the logged-in user) is part of the key,
+         * so logging in or out (which changes what events the server returns)
+         * never reuses stored events.
+         *
+         * @param {string} key - Cache key
+         * @returns {string} Storage key
+         */
+        getStorageKey: function(key) {
+            return `gcal_events_${gcalData.cacheScope || 'public'}_${key}`;
+        },
+
+        /**
+         * Re-render calendar grid with new date
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Date to render
+         */
+        renderCalendarGrid: function(wrapper, date) {
+            const period = wrapper.dataset.period;
+            const gridContainer = wrapper.querySelector('.gcal-calendar-grid');
+            const listContainer = wrapper.querySelector('.gcal-list');
+
+            if (!gridContainer && !listContainer) return;
+
+            const events = window.GCalEventStore.getEvents(wrapper.id);
+
+            // Rebuild the category sidebar for the events now on screen
+            if (window.GCalCategoryFilter) {
+                window.GCalCategoryFilter.renderSidebar(wrapper.id, this.getVisibleEvents(wrapper, date));
+            }
+
+            // Check if this is a list or calendar view, then re-render based on
+            // period type (anything else shows a month, as on the server)
+            if (listContainer) {
+                this.renderListView(wrapper, listContainer, date);
+            } else if (period === 'day') {
+                this.renderDayGrid(gridContainer, date, events);
+            } else if (period === 'upcoming') {
+                gridContainer.innerHTML = this.renderAgendaHTML(date, this.getUpcomingDays(wrapper), events, 'calendar', this.getDateNames(wrapper));
+            } else if (period === 'week') {
+                this.renderWeekGrid(gridContainer, date, events);
+            } else if (period === 'year') {
+                this.renderYearGrid(gridContainer, date, events);
+            } else {
+                this.renderMonthGrid(gridContainer, date, events);
+            }
+
+            // Event times are rendered in the site locale; switch them to the calendar's
+            window.GCalTimezone.localizeTimes(wrapper);
+
+            // Contrast, "+N more" cells and keyboard focus follow the new content
+            window.GCalEvents.emit(window.GCalEvents.RENDERED, wrapper);
+        },
+
+        /**
+         * Render list view cards for the displayed period
+         *
+         * This MUST match GCal_Display::render_list_view().
+         *
+         * @param {HTMLElement} wrapper - List wrapper
+         * @param {HTMLElement} container - List container
+         * @param {Date} date - Current date
+         */
+        renderListView: function(wrapper, container, date) {
+            const period = wrapper.dataset.period;
+            const listEvents = this.getVisibleEvents(wrapper, date);
+
+            if (listEvents.length === 0) {
+                container.innerHTML = `<div class="gcal-empty-state"><p>${this.escapeHtml(gcalData.i18n.noEventsFound)}</p></div>`;
+            } else if (period === 'upcoming') {
+                container.innerHTML = this.renderAgendaHTML(date, this.getUpcomingDays(wrapper), listEvents, 'list', this.getDateNames(wrapper));
+            } else {
+                const names = this.getDateNames(wrapper);
+                container.innerHTML = listEvents.map(event => this.renderListCardHTML(event, names)).join('');
+            }
+        },
+
+        /**
+         * Get the events the displayed period actually shows
+         *
+         * Month fetches cover the whole grid, so keep only what the period shows,
+         * and drop past events from lists rendered with hide_past.
+         *
+         * @param {HTMLElement} wrapper - Calendar or list wrapper
+         * @param {Date} date - Current date
+         * @returns {Array} Events within the period
+         */
+        getVisibleEvents: function(wrapper, date) {
+            const range = this.getPeriodRange(wrapper, date);
+
+            let visibleEvents = window.GCalEventStore.getEventsBetween(wrapper.id, range.start, range.end);
+
+            if (wrapper.querySelector('.gcal-list') && wrapper.dataset.hidePast === 'true') {
+                visibleEvents = this.filterPastEvents(visibleEvents);
+            }
+
+            return visibleEvents;
+        },
+
+        /**
+         * Get the first day and the exclusive last day of the displayed period
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {Date} date - Current date
+         * @returns {Object} { start, end } as local-midnight Date objects
+         */
+        getPeriodRange: function(wrapper, date) {
+            const period = wrapper.dataset.period;
+            const year = date.getFullYear();
+            const month = date.getMonth();
+            const day = date.getDate();
+
+            if (period === 'day') {
+                return { start: new Date(year, month, day), end: new Date(year, month, day + 1) };
+            }
+
+            if (period === 'upcoming') {
+                return { start: new Date(year, month, day), end: new Date(year, month, day + this.getUpcomingDays(wrapper)) };
+            }
+
+            if (period === 'week') {
+                const diff = (date.getDay() - gcalData.settings.weekStartsOn + 7) % 7;
+                return { start: new Date(year, month, day - diff), end: new Date(year, month, day - diff + 7) };
+            }
+
+            if (period === 'year') {
+                return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+            }
+
+            if (period === 'future') {
+                // Everything from today through the next 3 years
+                const today = window.GCalTimezone.getToday();
+                return {
+                    start: today,
+                    end: new Date(today.getFullYear() + 3, today.getMonth(), today.getDate() + 1)
+                };
+            }
+
+            return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+        },
+
+        /**
+         * Drop events that are already over (the list view's hide_past option)
+         *
+         * All-day events stay visible until the end of their last day; timed
+         * events until their end time.
+         *
+         * @param {Array} events - Events to filter
+         * @returns {Array} Events that have not ended yet
+         */
+        filterPastEvents: function(events) {
+            const now = new Date();
+            const today = window.GCalTimezone.getToday();
+
+            return events.filter(event => {
+                if (event.isAllDay) {
+                    return this.getEventDayRange(event).endDay >= today;
+                }
+                return new Date(event.end) >= now;
+            });
+        },
+
+        /**
+         * Render an event card for the list view
+         *
+         * This MUST match GCal_Display::render_list_event_card().
+         *
+         * @param {Object} event - Event object
+         * @param {Object} [names] - Weekday and month names (see getDateNames())
+         * @returns {string} HTML string
+         */
+        renderListCardHTML: function(event, names = this.getDateNames()) {
+            const appearance = this.getEventAppearance(event);
+            const categoryName = this.getEventCategoryLabel(event);
+            const start = this.getEventDayRange(event).startDay;
+
+            let cssClass = '';
+            if (event.invalidTags && event.invalidTags.length > 0 && (!event.tags || event.tags.length === 0)) {
+                cssClass = 'gcal-event-unknown-tags';
+            } else if (!event.tags || event.tags.length === 0) {
+                cssClass = 'gcal-event-untagged';
+            }
+
+            const weekday = names.weekdaysShortDot[(start.getDay() + 6) % 7]; // Monday first
+            const monthAbbr = names.monthsShort[start.getMonth()];
+
+            let timeDisplay = this.escapeHtml(gcalData.i18n.allDay);
+            if (!event.isAllDay) {
+                timeDisplay = `<span class="gcal-event-start">${window.GCalTimezone.formatEventTime(event)}</span>`;
+            }
+
+            let description = '';
+            if (event.description) {
+                let descriptionHtml = window.GCalEventModal
+                    ? window.GCalEventModal.sanitizeDescription(event.description)
+                    : this.escapeHtml(event.description);
+
+                // Trim long descriptions the same way as the server
+                const temp = document.createElement('div');
+                temp.innerHTML = descriptionHtml;
+                const words = (temp.textContent || '').split(/\s+/).filter(Boolean);
+                if (words.length > 30 && descriptionHtml.length > 400) {
+                    descriptionHtml = descriptionHtml.substring(0, 400) + '...';
+                }
+
+                description = `<div class="gcal-event-description">${descriptionHtml}</div>`;
+            }
+
+            return `<div class="gcal-list-event-card ${cssClass}" data-event-id="${event.id}" style="border-left-color: ${appearance.color}">
+                <div class="gcal-event-date">
+                    <div class="gcal-event-weekday">${this.escapeHtml(weekday)}</div>
+                    <div class="gcal-event-day">${String(start.getDate()).padStart(2, '0')}</div>
+                    <div class="gcal-event-month">${this.escapeHtml(monthAbbr)}</div>
+                    <div class="gcal-event-time">${timeDisplay}</div>
+                </div>
+                <div class="gcal-event-details">
+                    <h3 class="gcal-event-title">${appearance.titlePrefix}${this.escapeHtml(event.title)}</h3>
+                    ${categoryName ? `<span class="gcal-event-category" style="background-color: ${appearance.color};">${this.escapeHtml(categoryName)}</span>` : ''}
+                    ${description}
+                    ${this.renderLocationHTML(event)}
+                    <button class="gcal-event-read-more" data-event-id="${event.id}">${this.escapeHtml(gcalData.i18n.learnMore)} →</button>
+                </div>
+            </div>`;
+        },
+
+        /**
+         * Get the category label shown on list cards and agenda items
+         *
+         * @param {Object} event - Event object
+         * @returns {string} Label, with a warning prefix for untagged or unknown-tag events
+         */
+        getEventCategoryLabel: function(event) {
+            if (event.invalidTags && event.invalidTags.length > 0 && (!event.tags || event.tags.length === 0)) {
+                return '⚠️ ' + gcalData.i18n.unknownTag.replace('%s', event.invalidTags[0]);
+            }
+
+            if (!event.tags || event.tags.length === 0) {
+                return '⚠️ ' + gcalData.i18n.uncategorized;
+            }
+
+            if (event.categoryNames && event.categoryNames.length > 0) {
+                return event.categoryNames[0];
+            }
+
+            return event.tags[0];
+        },
+
+        /**
+         * Render an event's location, linked to the map when available
+         *
+         * @param {Object} event - Event object
+         * @returns {string} HTML string (empty when the event has no location)
+         */
+        renderLocationHTML: function(event) {
+            if (!event.location) return '';
+
+            const locationText = this.escapeHtml(event.location);
+            const locationHtml = event.mapLink
+                ? `<a href="${this.escapeHtml(event.mapLink)}" target="_blank" rel="noopener">${locationText}</a>`
+                : locationText;
+
+            return `<div class="gcal-event-location"><span class="gcal-location-icon">📍</span> ${locationHtml}</div>`;
+        },
+
+        /**
+         * Render month view grid
+         */
+        renderMonthGrid: function(container, date, events) {
+            const year = date.getFullYear();
+            const month = date.getMonth();
+
+            console.log(`Rendering month grid for ${year}-${month + 1} with ${events.length} events`);
+
+            // Build calendar HTML matching PHP structure exactly
+            let html = '<div class="gcal-month-view" role="grid"><div class="gcal-weekday-headers" role="row">';
+            const weekdays = this.getDateNames(container).weekdaysShort;
+            weekdays.forEach(day => {
+                html += `<div class="gcal-weekday" role="columnheader">${day}</div>`;
+            });
+            html += '</div><div class="gcal-days-grid" role="rowgroup">';
+
+            // Six full weeks from the configured week start, like the PHP grid;
+            // days of the previous and next month are shown muted
+            const gridStart = this.getMonthGridRange(date).start;
+
+            for (let row = 0; row < 6; row++) {
+                const rowDays = [];
+                for (let d = 0; d < 7; d++) {
+                    rowDays.push(new Date(gridStart.getFullYear(), gridStart.getMonth(), gridStart.getDate() + row * 7 + d));
+                }
+
+                // Lay out events one week row at a time so multi-day bars keep their lane
+                const rowSlots = this.layoutEventRow(rowDays, events);
+
+                html += '<div class="gcal-week-row" role="row">';
+
+                rowDays.forEach((currentDay, index) => {
+                    const slot = rowSlots[index];
+                    const isToday = this.isToday(currentDay);
+                    const classes = ['gcal-day'];
+
+                    if (currentDay.getMonth() !== month) classes.push('gcal-day-other-month');
+                    if (isToday) classes.push('gcal-day-today');
+                    if (this.slotHasEvents(slot)) classes.push('gcal-day-has-events');
+
+                    html += `<div class="${classes.join(' ')}" role="gridcell" data-date="${this.formatDateKey(currentDay)}"${isToday ? ' aria-current="date"' : ''}>`;
+                    html += `<div class="gcal-day-number">${currentDay.getDate()}</div>`;
+                    html += '<div class="gcal-day-events">';
+                    html += this.renderSlotHTML(slot);
+                    html += '</div>';
+                    html += '<button type="button" class="gcal-day-more" tabindex="-1" aria-haspopup="dialog" hidden></button>';
+                    html += '</div>';
+                });
+
+                html += '</div>';
+            }
+
+            html += '</div></div>';
+            container.innerHTML = html;
+        },
+
+        /**
+         * Render week view grid
+         */
+        renderWeekGrid: function(container, date, events) {
+            // Get week start day based on WordPress setting
+            const weekStartsOn = gcalData.settings.weekStartsOn; // 0=Sunday, 1=Monday, etc.
+            const dayOfWeek = date.getDay();
+            const diff = (dayOfWeek - weekStartsOn + 7) % 7;
 
-                    // Re-apply active category filter if one exists
-                    const url = new URL(window.location);
-                    const activeCategory = url.searchParams.get('gcal_category');
-                    if (activeCategory && window.GCalCategoryFilter) {
-                        console.log(`Re-applying category filter: ${activeCategory}`);
-                        window.GCalCategoryFilter.filterEvents(activeCategory, wrapper.id);
-                    }
+            const weekDays = [];
+            for (let i = 0; i < 7; i++) {
+                weekDays.push(new Date(date.getFullYear(), date.getMonth(), date.getDate() - diff + i));
+            }
 
-                    // Remove loading spinner AFTER rendering is complete
-                    // Use requestAnimationFrame to ensure DOM updates are done
-                    requestAnimationFrame(() => {
-                        wrapper.classList.remove('loading');
-                    });
-                } else {
-                    console.error('Failed to fetch events:', data.data.message);
-                    wrapper.classList.remove('loading');
+            container.innerHTML = this.renderTimeGridHTML(weekDays, events, this.getDateNames(container));
+            this.scrollTimeGrid(container);
+            this.updateNowLines(container);
+        },
+
+        /**
+         * Render day view: the day's time grid followed by a detailed agenda
+         *
+         * This MUST match GCal_Display::render_day_view().
+         *
+         * @param {HTMLElement} container - Grid container
+         * @param {Date} date - Day to render
+         * @param {Array} events - Events to display
+         */
+        renderDayGrid: function(container, date, events) {
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+            const dayEvents = events.filter(event => {
+                const range = this.getEventDayRange(event);
+                return range.startDay <= day && range.endDay >= day;
+            });
+
+            // All-day events first, then by start time
+            dayEvents.sort((a, b) => {
+                if (a.isAllDay !== b.isAllDay) {
+                    return a.isAllDay ? -1 : 1;
                 }
-            })
-            .catch(error => {
-                wrapper.classList.remove('loading');
-                console.error('AJAX error:', error);
+                return this.parseEventDate(a.start) - this.parseEventDate(b.start);
             });
+
+            let html = '<div class="gcal-day-view">';
+            html += this.renderTimeGridHTML([day], events, this.getDateNames(container));
+            html += '<div class="gcal-day-agenda">';
+
+            if (dayEvents.length === 0) {
+                html += `<p class="gcal-day-agenda-empty">${this.escapeHtml(gcalData.i18n.noEvents)}</p>`;
+            } else {
+                dayEvents.forEach(event => {
+                    html += this.renderDayAgendaItemHTML(event);
+                });
+            }
+
+            html += '</div></div>';
+
+            container.innerHTML = html;
+            this.scrollTimeGrid(container);
+            this.updateNowLines(container);
         },
 
         /**
-         * Re-render calendar grid with new date
+         * Build the rolling upcoming agenda, grouped by day
          *
-         * @param {HTMLElement} wrapper - Calendar wrapper
-         * @param {Date} date - Date to render
+         * Events spanning several days are listed under each of their days.
+         * This MUST match GCal_Display::render_upcoming_view().
+         *
+         * @param {Date} start - First day of the window
+         * @param {number} days - Number of days in the window
+         * @param {Array} events - Events to display
+         * @param {string} display - 'calendar' for agenda items, 'list' for list cards
+         * @param {Object} [names] - Date names and day heading format (see getDateNames())
+         * @returns {string} HTML string
          */
-        renderCalendarGrid: function(wrapper, date) {
-            const period = wrapper.dataset.period;
-            const gridContainer = wrapper.querySelector('.gcal-calendar-grid');
-            const listContainer = wrapper.querySelector('.gcal-list');
+        renderAgendaHTML: function(start, days, events, display = 'calendar', names = this.getDateNames()) {
+            let html = '';
 
-            // Check if this is a list or calendar view
-            if (listContainer) {
-                this.renderListView(wrapper, listContainer, date);
-                return;
-            }
+            for (let i = 0; i < days; i++) {
+                const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+
+                const dayEvents = events.filter(event => {
+                    const range = this.getEventDayRange(event);
+                    return range.startDay <= day && range.endDay >= day;
+                });
 
-            if (!gridContainer) return;
+                if (dayEvents.length === 0) continue;
 
-            // Get events data
-            const eventsJson = wrapper.dataset.events;
-            let events = [];
+                // All-day events first, then by start time
+                dayEvents.sort((a, b) => {
+                    if (a.isAllDay !== b.isAllDay) {
+                        return a.isAllDay ? -1 : 1;
+                    }
+                    return this.parseEventDate(a.start) - this.parseEventDate(b.start);
+                });
 
-            try {
-                events = JSON.parse(eventsJson);
-                // Convert object to array if needed
-                if (!Array.isArray(events) && typeof events === 'object' && events !== null) {
-                    events = Object.values(events);
-                }
-            } catch (e) {
-                console.error('Failed to parse events:', e);
-                return;
+                html += `<section class="gcal-agenda-day ${this.isToday(day) ? 'gcal-day-today' : ''}" data-date="${this.formatDateKey(day)}">`;
+                html += `<h4 class="gcal-agenda-day-heading">${this.escapeHtml(this.formatWPDate(day, names.dayHeadingFormat, names))}</h4>`;
+                dayEvents.forEach(event => {
+                    html += display === 'list' ? this.renderListCardHTML(event, names) : this.renderDayAgendaItemHTML(event);
+                });
+                html += '</section>';
             }
 
-            // Re-render based on period type
-            if (period === 'month') {
-                this.renderMonthGrid(gridContainer, date, events);
-            } else if (period === 'week') {
-                this.renderWeekGrid(gridContainer, date, events);
-            } else if (period === 'year') {
-                this.renderYearGrid(gridContainer, date, events);
+            if (!html) {
+                return `<div class="gcal-empty-state"><p>${this.escapeHtml(gcalData.i18n.noEventsFound)}</p></div>`;
             }
 
-            // Apply contrast colors to newly rendered events
-            if (window.GCalContrast) {
-                window.GCalContrast.applyContrastColors();
-            }
+            return `<div class="gcal-agenda">${html}</div>`;
         },
 
         /**
-         * Render list view - reload page with new URL parameters
+         * Render an event's full details for the day view agenda
          *
-         * @param {HTMLElement} wrapper - List wrapper
-         * @param {HTMLElement} container - List container
-         * @param {Date} date - Current date
+         * @param {Object} event - Event object
+         * @returns {string} HTML string
          */
-        renderListView: function(wrapper, container, date) {
-            // For list view, we reload the page to get proper PHP rendering
-            // Update URL and reload
-            const period = wrapper.dataset.period;
-            this.updateURL(period, date);
-            window.location.reload();
+        renderDayAgendaItemHTML: function(event) {
+            const appearance = this.getEventAppearance(event);
+            const categoryName = this.getEventCategoryLabel(event);
+
+            let timeDisplay = this.escapeHtml(gcalData.i18n.allDay);
+            if (!event.isAllDay) {
+                timeDisplay = window.GCalTimezone.formatEventTime(event);
+            }
+
+            let description = '';
+            if (event.description) {
+                const descriptionHtml = window.GCalEventModal
+                    ? window.GCalEventModal.sanitizeDescription(event.description)
+                    : this.escapeHtml(event.description);
+                description = `<div class="gcal-event-description">${descriptionHtml}</div>`;
+            }
+
+            return `<div class="gcal-day-agenda-item" data-event-id="${event.id}" style="border-left-color: ${appearance.color}">
+                <div class="gcal-day-agenda-time">${timeDisplay}</div>
+                <div class="gcal-day-agenda-details">
+                    <h4 class="gcal-event-title">${appearance.titlePrefix}${this.escapeHtml(event.title)}</h4>
+                    ${categoryName ? `<span class="gcal-event-category gcal-day-agenda-category" style="background-color: ${appearance.color};">${this.escapeHtml(categoryName)}</span>` : ''}
+                    ${this.renderLocationHTML(event)}
+                    ${description}
+                    <button class="gcal-event-read-more" data-event-id="${event.id}">${this.escapeHtml(gcalData.i18n.learnMore)} →</button>
+                </div>
+            </div>`;
         },
 
         /**
-         * Render month view grid
+         * Build an hour-by-hour time grid for a run of days
+         *
+         * All-day and multi-day events go into a row above the hours; timed events
+         * are positioned by their start and end, with overlapping events side by side.
+         * This MUST match GCal_Display::render_time_grid().
+         *
+         * @param {Array} days - Consecutive Date objects (local midnight)
+         * @param {Array} events - Events to place
+         * @param {Object} [names] - Weekday and month names (see getDateNames())
+         * @returns {string} HTML string
          */
-        renderMonthGrid: function(container, date, events) {
-            const year = date.getFullYear();
-            const month = date.getMonth();
+        renderTimeGridHTML: function(days, events, names = this.getDateNames()) {
+            const weekStartsOn = gcalData.settings.weekStartsOn;
+            const weekdays = names.weekdaysShort; // Already ordered from weekStartsOn
+            const allDayEvents = [];
+            const timedByDay = days.map(() => []);
 
-            console.log(`Rendering month grid for ${year}-${month + 1} with ${events.length} events`);
+            events.forEach(event => {
+                const range = this.getEventDayRange(event);
 
-            // Get first and last day of month
-            const firstDay = new Date(year, month, 1);
-            const lastDay = new Date(year, month + 1, 0);
+                if (event.isAllDay || range.endDay > range.startDay) {
+                    allDayEvents.push(event);
+                    return;
+                }
 
-            // Get day of week for first day and adjust based on WordPress week start setting
-            const weekStartsOn = gcalData.settings.weekStartsOn; // 0=Sunday, 1=Monday, etc.
-            let firstDayOfWeek = firstDay.getDay(); // 0=Sunday, 1=Monday, etc.
-            // Calculate offset from configured week start
-            firstDayOfWeek = (firstDayOfWeek - weekStartsOn + 7) % 7;
+                const index = this.daysBetween(days[0], range.startDay);
+                if (index >= 0 && index < days.length) {
+                    timedByDay[index].push(event);
+                }
+            });
 
-            const daysInMonth = lastDay.getDate();
+            const allDaySlots = this.layoutEventRow(days, allDayEvents);
+            const timedLayouts = timedByDay.map(dayEvents => this.layoutTimedEvents(dayEvents));
 
-            // Group events by date
-            const eventsByDate = {};
-            events.forEach(event => {
-                const eventDate = new Date(event.start);
-                const dateKey = `${eventDate.getFullYear()}-${String(eventDate.getMonth() + 1).padStart(2, '0')}-${String(eventDate.getDate()).padStart(2, '0')}`;
-                if (!eventsByDate[dateKey]) {
-                    eventsByDate[dateKey] = [];
-                }
-                eventsByDate[dateKey].push(event);
+            // Start scrolled to 8:00, or earlier if an event begins before then
+            let scrollHour = 8;
+            timedLayouts.forEach(items => {
+                items.forEach(item => {
+                    scrollHour = Math.min(scrollHour, Math.floor(item.startMin / 60));
+                });
             });
 
-            console.log('Events grouped by date:', eventsByDate);
+            let html = `<div class="gcal-time-grid" role="grid" style="--gcal-day-count: ${days.length};">`;
 
-            // Build calendar HTML matching PHP structure exactly
-            let html = '<div class="gcal-weekday-headers">';
-            const weekdays = gcalData.i18n.weekdaysShort;
-            weekdays.forEach(day => {
-                html += `<div class="gcal-weekday">${day}</div>`;
+            // Day headers
+            html += '<div class="gcal-time-grid-header" role="row"><div class="gcal-time-grid-gutter" aria-hidden="true"></div>';
+            days.forEach(day => {
+                const isToday = this.isToday(day);
+                html += `<div class="gcal-time-grid-day-header ${isToday ? 'gcal-day-today' : ''}" role="columnheader" data-date="${this.formatDateKey(day)}">`;
+                html += `<div class="gcal-week-day-name">${weekdays[(day.getDay() - weekStartsOn + 7) % 7]}</div>`;
+                html += `<div class="gcal-week-day-number">${day.getDate()}</div>`;
+                html += '</div>';
             });
-            html += '</div><div class="gcal-days-grid">';
+            html += '</div>';
+
+            // All-day row
+            html += `<div class="gcal-time-grid-all-day" role="row"><div class="gcal-time-grid-gutter" role="rowheader">${this.escapeHtml(gcalData.i18n.allDay)}</div>`;
+            days.forEach((day, i) => {
+                html += `<div class="gcal-time-grid-all-day-cell" role="gridcell" data-date="${this.formatDateKey(day)}">`;
+                html += this.renderSlotHTML(allDaySlots[i]);
+                html += '</div>';
+            });
+            html += '</div>';
 
-            // Add empty cells for days before month starts
-            for (let i = 0; i < firstDayOfWeek; i++) {
-                html += '<div class="gcal-day gcal-day-other-month"></div>';
+            // Hour axis and day columns
+            html += `<div class="gcal-time-grid-scroll" data-scroll-hour="${scrollHour}"><div class="gcal-time-grid-body" role="row">`;
+            html += '<div class="gcal-time-grid-hours" aria-hidden="true">';
+            for (let hour = 0; hour < 24; hour++) {
+                html += `<div class="gcal-time-grid-hour"><span>${hour > 0 ? this.formatHourLabel(hour) : ''}</span></div>`;
             }
+            html += '</div>';
 
-            // Add days of month
-            for (let day = 1; day <= daysInMonth; day++) {
-                const dateKey = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-                const dayEvents = eventsByDate[dateKey] || [];
-                const isToday = this.isToday(new Date(year, month, day));
+            days.forEach((day, i) => {
+                const isToday = this.isToday(day);
+                html += `<div class="gcal-time-grid-column ${isToday ? 'gcal-day-today' : ''}" role="gridcell" data-date="${this.formatDateKey(day)}"${isToday ? ' aria-current="date"' : ''}>`;
+                timedLayouts[i].forEach(item => {
+                    html += this.renderTimedEventHTML(item);
+                });
+                html += '</div>';
+            });
 
-                html += `<div class="gcal-day ${isToday ? 'gcal-day-today' : ''} ${dayEvents.length > 0 ? 'gcal-day-has-events' : ''}" data-date="${dateKey}">`;
-                html += `<div class="gcal-day-number">${day}</div>`;
-                html += '<div class="gcal-day-events">';
+            html += '</div></div></div>';
+            return html;
+        },
 
-                // Render events for this day
-                dayEvents.forEach(event => {
-                    html += this.renderEventHTML(event);
+        /**
+         * Position timed events within a single day
+         *
+         * Events that overlap (directly or through a chain of others) form a
+         * cluster; each cluster is split into as many columns as it needs.
+         *
+         * @param {Array} events - Timed events starting on the same day
+         * @returns {Array} Items: { event, startMin, endMin, column, columns }
+         */
+        layoutTimedEvents: function(events) {
+            const items = events.map(event => {
+                const start = this.parseEventDate(event.start);
+                const end = this.parseEventDate(event.end);
+                const startMin = window.GCalTimezone.getMinutesOfDay(start);
+                let endMin = window.GCalTimezone.getMinutesOfDay(end);
+
+                // Events ending at midnight run to the bottom of the column
+                if (window.GCalTimezone.getDateKey(end) !== window.GCalTimezone.getDateKey(start) || endMin < startMin) {
+                    endMin = 24 * 60;
+                }
+
+                return {
+                    event: event,
+                    startMin: startMin,
+                    // Short events are drawn at least half an hour tall
+                    endMin: Math.min(24 * 60, Math.max(endMin, startMin + 30)),
+                    column: 0,
+                    columns: 1
+                };
+            });
+
+            items.sort((a, b) => (a.startMin - b.startMin) || (b.endMin - a.endMin));
+
+            let cluster = [];
+            let columnEnds = [];
+            let clusterEnd = -1;
+
+            const closeCluster = () => {
+                cluster.forEach(item => {
+                    item.columns = columnEnds.length;
                 });
+                cluster = [];
+                columnEnds = [];
+                clusterEnd = -1;
+            };
+
+            items.forEach(item => {
+                if (cluster.length > 0 && item.startMin >= clusterEnd) {
+                    closeCluster();
+                }
+
+                // Reuse the first column that is free by the time this event starts
+                let column = columnEnds.findIndex(end => end <= item.startMin);
+                if (column === -1) {
+                    column = columnEnds.length;
+                    columnEnds.push(item.endMin);
+                } else {
+                    columnEnds[column] = item.endMin;
+                }
+
+                item.column = column;
+                cluster.push(item);
+                clusterEnd = Math.max(clusterEnd, item.endMin);
+            });
+
+            closeCluster();
+
+            return items;
+        },
+
+        /**
+         * Render a positioned event block for the time grid
+         *
+         * @param {Object} item - Item from layoutTimedEvents()
+         * @returns {string} HTML string
+         */
+        renderTimedEventHTML: function(item) {
+            const event = item.event;
+            const appearance = this.getEventAppearance(event);
+            const minutesPerDay = 24 * 60;
+
+            const top = (item.startMin / minutesPerDay) * 100;
+            const height = ((item.endMin - item.startMin) / minutesPerDay) * 100;
+            const left = (item.column / item.columns) * 100;
+            const width = 100 / item.columns;
+
+            const timeDisplay = window.GCalTimezone.formatEventTime(event);
+
+            return `<div class="gcal-event-item gcal-time-grid-event" data-event-id="${event.id}" style="background-color: ${appearance.color}; top: ${top.toFixed(3)}%; height: ${height.toFixed(3)}%; left: ${left.toFixed(3)}%; width: ${width.toFixed(3)}%;" role="button" tabindex="0">
+                <span class="gcal-event-time">${timeDisplay}</span>
+                <span class="gcal-event-title">${appearance.titlePrefix}${this.escapeHtml(event.title)}</span>
+            </div>`;
+        },
+
+        /**
+         * Format an hour for the time grid axis
+         *
+         * @param {number} hour - Hour of the day (0-23)
+         * @returns {string} Label using the WordPress 12/24-hour setting
+         */
+        formatHourLabel: function(hour) {
+            const date = new Date(2000, 0, 1, hour);
 
-                html += '</div></div>';
+            if (window.GCalTimezone) {
+                return window.GCalTimezone.formatTime(date, { timeZone: undefined });
             }
 
-            html += '</div>';
-            container.innerHTML = html;
+            return `${String(hour).padStart(2, '0')}:00`;
         },
 
         /**
-         * Render week view grid
+         * Scroll time grids so working hours are in view
+         *
+         * @param {HTMLElement} root - Element containing time grids
          */
-        renderWeekGrid: function(container, date, events) {
-            // Get week start day based on WordPress setting
-            const weekStartsOn = gcalData.settings.weekStartsOn; // 0=Sunday, 1=Monday, etc.
-            const dayOfWeek = date.getDay();
-            const weekStart = new Date(date);
-            const diff = (dayOfWeek - weekStartsOn + 7) % 7;
-            weekStart.setDate(date.getDate() - diff);
+        scrollTimeGrid: function(root) {
+            root.querySelectorAll('.gcal-time-grid-scroll').forEach(scroller => {
+                const body = scroller.querySelector('.gcal-time-grid-body');
+                const hour = parseInt(scroller.dataset.scrollHour, 10) || 0;
+
+                if (body) {
+                    scroller.scrollTop = (body.offsetHeight / 24) * hour;
+                }
+            });
+        },
+
+        /**
+         * Draw the current-time line on today's time grid column
+         *
+         * @param {HTMLElement|Document} root - Element containing time grids
+         */
+        updateNowLines: function(root) {
+            const now = new Date();
+            const todayKey = window.GCalTimezone.getDateKey(now);
+            const top = (window.GCalTimezone.getMinutesOfDay(now) / (24 * 60)) * 100;
+
+            root.querySelectorAll('.gcal-time-grid-now').forEach(line => line.remove());
+
+            root.querySelectorAll(`.gcal-time-grid-column[data-date="${todayKey}"]`).forEach(column => {
+                const line = document.createElement('div');
+                line.className = 'gcal-time-grid-now';
+                line.setAttribute('aria-hidden', 'true');
+                line.style.top = `${top.toFixed(3)}%`;
+                column.appendChild(line);
+            });
+        },
+
+        /**
+         * Lay out events across a row of consecutive days
+         *
+         * Multi-day events are given a lane that stays the same on every day they
+         * cover, so their segments line up into a continuous bar. Single-day
+         * events follow the lanes in each day.
+         *
+         * @param {Array} days - Consecutive Date objects (local midnight)
+         * @param {Array} events - Events to place
+         * @returns {Array} One slot per day: { lanes: Array, single: Array }
+         */
+        layoutEventRow: function(days, events) {
+            const slots = days.map(() => ({ lanes: [], single: [] }));
+
+            if (days.length === 0) {
+                return slots;
+            }
 
-            const frenchDays = gcalData.i18n.weekdaysShort;
+            const rowStart = days[0];
+            const rowEnd = days[days.length - 1];
+            const spanning = [];
 
-            // Group events by date
-            const eventsByDate = {};
             events.forEach(event => {
-                const eventDate = new Date(event.start);
-                const dateKey = `${eventDate.getFullYear()}-${String(eventDate.getMonth() + 1).padStart(2, '0')}-${String(eventDate.getDate()).padStart(2, '0')}`;
-                if (!eventsByDate[dateKey]) {
-                    eventsByDate[dateKey] = [];
+                const range = this.getEventDayRange(event);
+
+                if (range.endDay < rowStart || range.startDay > rowEnd) {
+                    return;
+                }
+
+                if (range.endDay > range.startDay) {
+                    spanning.push({ event: event, range: range });
+                } else {
+                    slots[this.daysBetween(rowStart, range.startDay)].single.push(event);
                 }
-                eventsByDate[dateKey].push(event);
             });
 
-            let html = '<div class="gcal-week-view">';
+            // Earlier and longer events claim the top lanes
+            spanning.sort((a, b) => {
+                return (a.range.startDay - b.range.startDay) ||
+                    ((b.range.endDay - b.range.startDay) - (a.range.endDay - a.range.startDay));
+            });
 
-            for (let i = 0; i < 7; i++) {
-                const currentDay = new Date(weekStart);
-                currentDay.setDate(weekStart.getDate() + i);
-                const dateKey = `${currentDay.getFullYear()}-${String(currentDay.getMonth() + 1).padStart(2, '0')}-${String(currentDay.getDate()).padStart(2, '0')}`;
-                const dayEvents = eventsByDate[dateKey] || [];
-                const isToday = this.isToday(currentDay);
-
-                html += `<div class="gcal-week-day ${isToday ? 'gcal-day-today' : ''}" data-date="${dateKey}">`;
-                html += '<div class="gcal-week-day-header">';
-                html += `<div class="gcal-week-day-name">${frenchDays[i]}</div>`;
-                html += `<div class="gcal-week-day-number">${currentDay.getDate()}</div>`;
-                html += '</div><div class="gcal-week-day-events">';
-
-                if (dayEvents.length > 0) {
-                    dayEvents.forEach(event => {
-                        html += this.renderEventHTML(event);
-                    });
-                } else {
-                    html += `<div class="gcal-no-events">${gcalData.i18n.noEvents}</div>`;
+            spanning.forEach(item => {
+                const first = Math.max(0, this.daysBetween(rowStart, item.range.startDay));
+                const last = Math.min(days.length - 1, this.daysBetween(rowStart, item.range.endDay));
+
+                // Find the lowest lane that is free on every day of the span
+                let lane = 0;
+                while (slots.slice(first, last + 1).some(slot => slot.lanes[lane])) {
+                    lane++;
+                }
+
+                for (let i = first; i <= last; i++) {
+                    slots[i].lanes[lane] = {
+                        event: item.event,
+                        isFirst: i === first,
+                        isLast: i === last,
+                        startsEvent: i === first && item.range.startDay >= rowStart,
+                        continuesBefore: i === first && item.range.startDay < rowStart,
+                        continuesAfter: i === last && item.range.endDay > rowEnd
+                    };
                 }
+            });
+
+            return slots;
+        },
+
+        /**
+         * Check whether a laid-out day slot contains any events
+         *
+         * @param {Object} slot - Slot from layoutEventRow()
+         * @returns {boolean} True if the day has events
+         */
+        slotHasEvents: function(slot) {
+            return !!slot && (slot.single.length > 0 || slot.lanes.some(segment => segment));
+        },
 
-                html += '</div></div>';
+        /**
+         * Render the events of a laid-out day slot
+         *
+         * @param {Object} slot - Slot from layoutEventRow()
+         * @returns {string} HTML string
+         */
+        renderSlotHTML: function(slot) {
+            if (!slot) {
+                return '';
             }
 
-            html += '</div>';
-            container.innerHTML = html;
+            let html = '';
+
+            // Lanes may be sparse: empty lanes keep the bars below them aligned
+            for (let lane = 0; lane < slot.lanes.length; lane++) {
+                const segment = slot.lanes[lane];
+
+                if (segment) {
+                    html += this.renderEventHTML(segment.event, segment);
+                } else {
+                    html += '<div class="gcal-event-spacer" aria-hidden="true"><span class="gcal-event-title">&nbsp;</span></div>';
+                }
+            }
+
+            slot.single.forEach(event => {
+                html += this.renderEventHTML(event);
+            });
+
+            return html;
         },
 
         /**
@@ -623,12 +2172,12 @@
          */
         renderYearGrid: function(container, date, events) {
             const year = date.getFullYear();
-            const frenchMonths = gcalData.i18n.months;
+            const monthNames = this.getDateNames(container).months;
 
             // Group events by month
             const eventsByMonth = {};
             events.forEach(event => {
-                const eventDate = new Date(event.start);
+                const eventDate = this.getEventDayRange(event).startDay;
                 const monthKey = `${eventDate.getFullYear()}-${String(eventDate.getMonth() + 1).padStart(2, '0')}`;
                 if (!eventsByMonth[monthKey]) {
                     eventsByMonth[monthKey] = [];
@@ -641,19 +2190,18 @@
             for (let month = 1; month <= 12; month++) {
                 const monthKey = `${year}-${String(month).padStart(2, '0')}`;
                 const monthEvents = eventsByMonth[monthKey] || [];
-                const monthName = frenchMonths[month - 1];
+                const monthName = monthNames[month - 1];
 
                 html += `<div class="gcal-year-month">`;
                 html += `<div class="gcal-year-month-header">`;
                 html += `<h4>${monthName}</h4>`;
-                html += `<span class="gcal-year-month-count">${monthEvents.length} ${monthEvents.length === 1 ? gcalData.i18n.event : gcalData.i18n.events}</span>`;
+                html += `<span class="gcal-year-month-count">${GCalI18n.plural('eventCount', monthEvents.length)}</span>`;
                 html += `</div>`;
                 html += `<div class="gcal-year-month-events">`;
 
                 if (monthEvents.length > 0) {
                     monthEvents.forEach((event, index) => {
-                        const eventDate = new Date(event.start);
-                        const dayOfMonth = eventDate.getDate();
+                        const dayOfMonth = this.getEventDayRange(event).startDay.getDate();
                         const isHidden = index >= 20;
                         const categoryColor = this.getCategoryColor(event.tags && event.tags.length > 0 ? event.tags[0] : null);
 
@@ -668,8 +2216,8 @@
 
                     if (monthEvents.length > 20) {
                         html += `<button class="gcal-year-more" data-month="${monthKey}">`;
-                        html += `<span class="gcal-year-more-text">+${monthEvents.length - 20} de plus</span>`;
-                        html += `<span class="gcal-year-less-text" style="display: none;">Voir moins</span>`;
+                        html += `<span class="gcal-year-more-text">${GCalI18n.plural('moreEvents', monthEvents.length - 20)}</span>`;
+                        html += `<span class="gcal-year-less-text" style="display: none;">${GCalI18n.get('showLess')}</span>`;
                         html += `</button>`;
                     }
                 } else {
@@ -685,52 +2233,70 @@
 
         /**
          * Render event HTML
+         *
+         * @param {Object} event - Event object
+         * @param {Object} segment - Optional multi-day segment from layoutEventRow()
+         * @returns {string} HTML string
          */
-        renderEventHTML: function(event) {
-            let categoryColor = '#2271b1';
-            let titlePrefix = '';
+        renderEventHTML: function(event, segment = null) {
+            const appearance = this.getEventAppearance(event);
+            const categoryColor = appearance.color;
+            const titlePrefix = appearance.titlePrefix;
 
-            // Check for invalid tags (unknown tags)
-            if (event.invalidTags && event.invalidTags.length > 0 && (!event.tags || event.tags.length === 0)) {
-                categoryColor = '#8B0000'; // Dark red for unknown tags
-                titlePrefix = '⚠️ ';
-            }
-            // Check for untagged events
-            else if ((!event.tags || event.tags.length === 0) && (!event.invalidTags || event.invalidTags.length === 0)) {
-                categoryColor = '#000000'; // Black for untagged
-                titlePrefix = '⚠️ ';
-            }
-            // Normal events with valid tags
-            else if (event.tags && event.tags.length > 0) {
-                categoryColor = this.getCategoryColor(event.tags[0]);
+            let timeDisplay = '';
+            if (!segment) {
+                timeDisplay = window.GCalTimezone.formatEventTime(event);
+            } else if (segment.startsEvent) {
+                // Multi-day bars only show when they begin
+                timeDisplay = window.GCalTimezone.formatEventTime(event, true);
             }
 
-            const eventStart = new Date(event.start);
-            const eventEnd = new Date(event.end);
+            if (!segment) {
+                return `<div class="gcal-event-item" data-event-id="${event.id}" style="background-color: ${categoryColor};" role="button" tabindex="0">
+                ${timeDisplay ? `<span class="gcal-event-time">${timeDisplay}</span>` : ''}
+                <span class="gcal-event-title">${titlePrefix}${this.escapeHtml(event.title)}</span>
+            </div>`;
+            }
 
-            let timeDisplay = '';
-            if (!event.isAllDay) {
-                const startHours = eventStart.getHours();
-                const startMins = eventStart.getMinutes();
-                const endHours = eventEnd.getHours();
-                const endMins = eventEnd.getMinutes();
-
-                const formatTime = (hours, mins) => {
-                    if (mins === 0) {
-                        return `${hours}h`;
-                    }
-                    return `${hours}h${String(mins).padStart(2, '0')}`;
-                };
+            const classes = ['gcal-event-item', 'gcal-event-multiday'];
+            if (segment.isFirst) classes.push('gcal-event-segment-first');
+            if (segment.isLast) classes.push('gcal-event-segment-last');
+            if (segment.continuesBefore) classes.push('gcal-event-continues-before');
+            if (segment.continuesAfter) classes.push('gcal-event-continues-after');
 
-                timeDisplay = `${formatTime(startHours, startMins)} - ${formatTime(endHours, endMins)}`;
-            }
+            // Only the first segment of each row is focusable and announced;
+            // the rest of the bar is decoration for sighted users
+            const a11y = segment.isFirst ? 'role="button" tabindex="0"' : 'aria-hidden="true"';
 
-            return `<div class="gcal-event-item" data-event-id="${event.id}" style="background-color: ${categoryColor};" role="button" tabindex="0">
+            return `<div class="${classes.join(' ')}" data-event-id="${event.id}" style="background-color: ${categoryColor};" ${a11y}>
+                ${segment.continuesBefore ? '<span class="gcal-event-continues-marker" aria-hidden="true">‹</span>' : ''}
                 ${timeDisplay ? `<span class="gcal-event-time">${timeDisplay}</span>` : ''}
-                <span class="gcal-event-title">${titlePrefix}${this.escapeHtml(event.title)}</span>
+                <span class="gcal-event-title">${segment.isFirst ? titlePrefix + this.escapeHtml(event.title) : '&nbsp;'}</span>
+                ${segment.continuesAfter ? '<span class="gcal-event-continues-marker" aria-hidden="true">›</span>' : ''}
             </div>`;
         },
 
+        /**
+         * Get background color and title prefix for an event
+         *
+         * @param {Object} event - Event object
+         * @returns {Object} { color, titlePrefix }
+         */
+        getEventAppearance: function(event) {
+            // Check for invalid tags (unknown tags)
+            if (event.invalidTags && event.invalidTags.length > 0 && (!event.tags || event.tags.length === 0)) {
+                return { color: '#8B0000', titlePrefix: '⚠️ ' }; // Dark red for unknown tags
+            }
+
+            // Check for untagged events
+            if (!event.tags || event.tags.length === 0) {
+                return { color: '#000000', titlePrefix: '⚠️ ' }; // Black for untagged
+            }
+
+            // Normal events with valid tags
+            return { color: this.getCategoryColor(event.tags[0]), titlePrefix: '' };
+        },
+
         /**
          * Get category color from global data
          */
@@ -744,50 +2310,60 @@
         },
 
         /**
-         * Check if date is today
+         * Format date as a Y-m-d key in local time
+         *
+         * @param {Date} date - Date object
+         * @returns {string} Date key (e.g., "2025-10-25")
          */
-        isToday: function(date) {
-            const today = new Date();
-            return date.getDate() === today.getDate() &&
-                   date.getMonth() === today.getMonth() &&
-                   date.getFullYear() === today.getFullYear();
+        formatDateKey: function(date) {
+            return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
         },
 
         /**
-         * Escape HTML
+         * Parse an event start/end value
+         *
+         * @param {string} value - Event start or end string from the API
+         * @returns {Date} Date object (see GCalEventStore.parseEventDate())
          */
-        escapeHtml: function(text) {
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
+        parseEventDate: function(value) {
+            return window.GCalEventStore.parseEventDate(value);
         },
 
         /**
-         * Register event data with modal handler
+         * Get the first and last day covered by an event
+         *
+         * @param {Object} event - Event object
+         * @returns {Object} { startDay, endDay } (see GCalEventStore.getEventDayRange())
          */
-        registerEventData: function() {
-            // Find all calendar instances with event data
-            const instances = document.querySelectorAll('[id^="gcal-"]');
-
-            instances.forEach(instance => {
-                const instanceId = instance.id;
-                const varName = 'gcalEvents_' + instanceId;
+        getEventDayRange: function(event) {
+            return window.GCalEventStore.getEventDayRange(event);
+        },
 
-                // Check if events data exists in global scope
-                if (window[varName]) {
-                    const events = window[varName];
+        /**
+         * Count calendar days between two local-midnight dates
+         *
+         * @param {Date} from - Start date
+         * @param {Date} to - End date
+         * @returns {number} Number of days (rounded to absorb DST shifts)
+         */
+        daysBetween: function(from, to) {
+            return Math.round((to - from) / (1000 * 60 * 60 * 24));
+        },
 
-                    // Register with modal handler
-                    if (window.GCalEventModal) {
-                        window.GCalEventModal.registerEvents(instanceId, events);
-                    }
+        /**
+         * Check if date is today
+         */
+        isToday: function(date) {
+            return this.formatDateKey(date) === window.GCalTimezone.getDateKey(new Date());
+        },
 
-                    // Format events with timezone
-                    if (window.GCalTimezone) {
-                        window[varName] = window.GCalTimezone.formatEvents(events);
-                    }
-                }
-            });
+        /**
+         * Escape HTML
+         */
+        escapeHtml: function(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
         },
 
         /**
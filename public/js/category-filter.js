@@ -15,10 +15,72 @@
          * Initialize category filters
          */
         init: function() {
+            this.rememberInitialCategories();
             this.attachEventListeners();
             this.applyInitialFilter();
         },
 
+        /**
+         * Remember the category each sidebar was rendered with
+         *
+         * The shortcode can pre-select its first tag without a gcal_category
+         * parameter, so history navigation needs this to restore that state.
+         */
+        rememberInitialCategories: function() {
+            document.querySelectorAll('.gcal-category-sidebar[data-instance]').forEach(sidebar => {
+                const activeBtn = sidebar.querySelector('.gcal-category-btn.active');
+                sidebar.dataset.initialCategory = activeBtn ? activeBtn.dataset.category : '';
+            });
+        },
+
+        /**
+         * Get the name of one of an instance's URL parameters
+         *
+         * This MUST match GCalNavigation.getParamName().
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @param {string} name - Parameter name without prefix, e.g. 'category'
+         * @returns {string} Full parameter name, e.g. 'gcal_talks_category'
+         */
+        getParamName: function(instanceId, name) {
+            const wrapper = instanceId ? document.getElementById(instanceId) : null;
+            return ((wrapper && wrapper.dataset.urlPrefix) || 'gcal_') + name;
+        },
+
+        /**
+         * Get the category selected for an instance
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @returns {string} Upper-cased category, or empty string for all
+         */
+        getSelectedCategory: function(instanceId) {
+            const url = new URL(window.location);
+            const param = this.getParamName(instanceId, 'category');
+
+            if (url.searchParams.has(param)) {
+                return (url.searchParams.get(param) || '').toUpperCase();
+            }
+
+            const sidebar = document.querySelector(`.gcal-category-sidebar[data-instance="${instanceId}"]`);
+            return sidebar && sidebar.dataset.initialCategory ? sidebar.dataset.initialCategory.toUpperCase() : '';
+        },
+
+        /**
+         * Restore the category filter from the URL
+         *
+         * Used when the browser moves through history.
+         */
+        syncWithURL: function() {
+            document.querySelectorAll('[data-events]').forEach(wrapper => {
+                const instanceId = wrapper.id;
+                if (instanceId) {
+                    const category = this.getSelectedCategory(instanceId);
+                    this.updateActiveButton(category, instanceId);
+                    this.filterEvents(category, instanceId);
+                }
+            });
+        },
+
         /**
          * Attach event listeners for category buttons and display toggle
          */
@@ -62,9 +124,11 @@
                 if (displayBtn) {
                     e.preventDefault();
                     const displayType = displayBtn.dataset.display;
+                    const container = displayBtn.closest('.gcal-wrapper-with-sidebar');
+                    const wrapper = container ? container.querySelector('[data-events]') : null;
 
                     if (displayType) {
-                        self.switchDisplayStyle(displayType);
+                        self.switchDisplayStyle(displayType, wrapper ? wrapper.id : null);
                     }
                 }
             });
@@ -74,11 +138,20 @@
          * Switch display style (calendar/list)
          *
          * @param {string} displayType - Display type ('calendar' or 'list')
+         * @param {string} instanceId - Calendar/list instance ID
          */
-        switchDisplayStyle: function(displayType) {
-            // Update URL parameter and reload
+        switchDisplayStyle: function(displayType, instanceId) {
+            const wrapper = instanceId ? document.getElementById(instanceId) : null;
+
+            // Switch in place when the navigation handler is available
+            if (wrapper && window.GCalNavigation) {
+                window.GCalNavigation.switchDisplay(wrapper, displayType);
+                return;
+            }
+
+            // Otherwise update URL parameter and reload
             const url = new URL(window.location);
-            url.searchParams.set('gcal_display', displayType);
+            url.searchParams.set(this.getParamName(instanceId, 'display'), displayType);
 
             // Reload page with new display style
             window.location.href = url.toString();
@@ -88,24 +161,21 @@
          * Apply initial filter based on URL parameter
          */
         applyInitialFilter: function() {
-            // Read category from URL
             const url = new URL(window.location);
-            const category = url.searchParams.get('gcal_category');
 
-            if (!category) {
-                return; // No filter to apply
-            }
-
-            // Find all calendar/list instances and apply filter
+            // Find all calendar/list instances and apply the filter from each one's own parameter
             const wrappers = document.querySelectorAll('[data-events]');
             wrappers.forEach(wrapper => {
                 const instanceId = wrapper.id;
-                if (instanceId) {
-                    // Update active button state
-                    this.updateActiveButton(category, instanceId);
-                    // Apply filter
-                    this.filterEvents(category, instanceId);
-                }
+                if (!instanceId) return;
+
+                const category = url.searchParams.get(this.getParamName(instanceId, 'category'));
+                if (!category) return; // No filter to apply
+
+                // Update active button state
+                this.updateActiveButton(category, instanceId);
+                // Apply filter
+                this.filterEvents(category, instanceId);
             });
         },
 
@@ -118,10 +188,15 @@
         filterByCategory: function(category, instanceId) {
             // Update URL parameter
             const url = new URL(window.location);
+            const param = this.getParamName(instanceId, 'category');
+            const sidebar = document.querySelector(`.gcal-category-sidebar[data-instance="${instanceId}"]`);
             if (category) {
-                url.searchParams.set('gcal_category', category);
+                url.searchParams.set(param, category);
+            } else if (sidebar && sidebar.dataset.initialCategory) {
+                // Keep an empty parameter so "all" is not mistaken for the pre-selected tag
+                url.searchParams.set(param, '');
             } else {
-                url.searchParams.delete('gcal_category');
+                url.searchParams.delete(param);
             }
 
             // Update URL without reload to preserve state
@@ -134,6 +209,99 @@
             this.filterEvents(category, instanceId);
         },
 
+        /**
+         * Rebuild the category sidebar from the events being shown
+         *
+         * Recreates the desktop buttons, the mobile dropdown and the per-category
+         * counts after navigation. This MUST match GCal_Display::render_category_sidebar().
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @param {Array} events - Events shown for the current period
+         */
+        renderSidebar: function(instanceId, events) {
+            const sidebar = document.querySelector(`.gcal-category-sidebar[data-instance="${instanceId}"]`);
+
+            if (!sidebar) return;
+
+            const i18n = gcalData.i18n;
+            const selected = this.getSelectedCategory(instanceId);
+
+            // Count events per category, plus untagged and unknown-tag events
+            const counts = {};
+            const names = {};
+            let untaggedCount = 0;
+            let unknownTagsCount = 0;
+
+            events.forEach(event => {
+                const tags = event.tags || [];
+                const seen = [];
+
+                tags.forEach((tag, index) => {
+                    const key = tag.toUpperCase();
+                    if (seen.includes(key)) return;
+                    seen.push(key);
+
+                    counts[key] = (counts[key] || 0) + 1;
+                    if (!names[key]) {
+                        names[key] = (event.categoryNames && event.categoryNames[index]) || tag;
+                    }
+                });
+
+                if (tags.length === 0) {
+                    if (event.invalidTags && event.invalidTags.length > 0) {
+                        unknownTagsCount++;
+                    } else {
+                        untaggedCount++;
+                    }
+                }
+            });
+
+            const categories = Object.keys(counts).sort();
+            const escape = text => {
+                const div = document.createElement('div');
+                div.textContent = text;
+                return div.innerHTML;
+            };
+
+            // Special entries are only present when such events were returned,
+            // which the server limits to users allowed to see them
+            const special = [];
+            if (untaggedCount > 0) {
+                special.push({ value: 'UNTAGGED', label: '⚠️ ' + i18n.uncategorized, count: untaggedCount });
+            }
+            if (unknownTagsCount > 0) {
+                special.push({ value: 'UNKNOWN', label: '⚠️ ' + i18n.unknownTags, count: unknownTagsCount });
+            }
+
+            const dropdown = sidebar.querySelector('.gcal-category-dropdown');
+            if (dropdown) {
+                let options = `<option value="" ${selected === '' ? 'selected' : ''}>${escape(i18n.allCategories)} (${events.length})</option>`;
+                categories.forEach(category => {
+                    options += `<option value="${escape(category)}" ${category === selected ? 'selected' : ''}>${escape(names[category])} (${counts[category]})</option>`;
+                });
+                special.forEach(entry => {
+                    options += `<option value="${entry.value}" ${entry.value === selected ? 'selected' : ''}>${escape(entry.label)} (${entry.count})</option>`;
+                });
+                dropdown.innerHTML = options;
+            }
+
+            const list = sidebar.querySelector('.gcal-category-list');
+            if (list) {
+                let items = `<li><button class="gcal-category-btn ${selected === '' ? 'active' : ''}" data-category="">${escape(i18n.allCategories)} <span class="gcal-category-count">${events.length}</span></button></li>`;
+                categories.forEach(category => {
+                    const color = (gcalData.categories && gcalData.categories[category]) || '#2271b1';
+                    items += `<li><button class="gcal-category-btn ${category === selected ? 'active' : ''}" data-category="${escape(category)}">
+                        <span class="gcal-category-color-dot" style="background-color: ${escape(color)}"></span>
+                        ${escape(names[category])} <span class="gcal-category-count">${counts[category]}</span>
+                    </button></li>`;
+                });
+                special.forEach(entry => {
+                    items += `<li><button class="gcal-category-btn ${entry.value === selected ? 'active' : ''}" data-category="${entry.value}">${escape(entry.label)} <span class="gcal-category-count">${entry.count}</span></button></li>`;
+                });
+                list.innerHTML = items;
+            }
+        },
+
         /**
          * Update active button state
          *
@@ -154,6 +322,12 @@
             if (activeBtn) {
                 activeBtn.classList.add('active');
             }
+
+            // Keep the mobile dropdown in step
+            const dropdown = sidebar.querySelector('.gcal-category-dropdown');
+            if (dropdown && dropdown.value !== category) {
+                dropdown.value = category;
+            }
         },
 
         /**
@@ -172,43 +346,20 @@
 
             console.log(`Filtering events by category: "${category}" for instance: ${instanceId}`);
 
-            // Get all events
-            const eventsJson = wrapper.dataset.events;
-            if (!eventsJson) {
-                console.warn('No events data found for', instanceId);
-                return;
-            }
-
-            let events;
-            try {
-                events = JSON.parse(eventsJson);
-            } catch (e) {
-                console.error('Failed to parse events JSON:', e);
-                return;
-            }
-
-            // Convert object with numeric keys to array (backward compatibility)
-            if (!Array.isArray(events) && typeof events === 'object' && events !== null) {
-                events = Object.values(events);
-            }
-
-            // Ensure events is an array
-            if (!Array.isArray(events)) {
-                console.error('Events data is not an array:', events);
-                return;
-            }
-
             // Show loading state
             wrapper.classList.add('filtering');
 
             // Filter events by category
-            const filteredEventIds = this.getFilteredEventIds(events, category);
+            const filteredEventIds = this.getFilteredEventIds(instanceId, category);
 
-            console.log(`Filtered ${filteredEventIds.length} events out of ${events.length} total`);
+            console.log(`Filtered ${filteredEventIds.length} events out of ${window.GCalEventStore.getEvents(instanceId).length} total`);
 
             // Update DOM visibility
             this.updateEventVisibility(wrapper, filteredEventIds);
 
+            // Month cells re-fit and contrast is reapplied by their listeners
+            window.GCalEvents.emit(window.GCalEvents.FILTER, wrapper, { category: category || '' });
+
             // Remove loading state
             setTimeout(() => {
                 wrapper.classList.remove('filtering');
@@ -218,44 +369,32 @@
         /**
          * Get filtered event IDs based on category
          *
-         * @param {Array} events - All events
+         * @param {string} instanceId - Instance ID
          * @param {string} category - Category to filter by
          * @returns {Array} Array of event IDs that match the filter
          */
-        getFilteredEventIds: function(events, category) {
+        getFilteredEventIds: function(instanceId, category) {
+            const store = window.GCalEventStore;
+
             if (!category) {
                 // Show all events
-                return events.map(e => e.id);
+                return store.getEvents(instanceId).map(e => e.id);
             }
 
             // Special handling for "UNTAGGED" category (admin-only)
             if (category.toUpperCase() === 'UNTAGGED') {
-                return events
-                    .filter(event => !event.tags || event.tags.length === 0)
-                    .map(e => e.id);
+                return store.getEventsByTag(instanceId, '').map(e => e.id);
             }
 
             // Special handling for "UNKNOWN" category (admin-only) - events with unknown tags
             if (category.toUpperCase() === 'UNKNOWN') {
-                return events
-                    .filter(event => {
-                        // Event has invalid tags but no valid tags
-                        return (!event.tags || event.tags.length === 0) &&
-                               event.invalidTags && event.invalidTags.length > 0;
-                    })
+                return store.getEventsByTag(instanceId, '')
+                    .filter(event => event.invalidTags && event.invalidTags.length > 0)
                     .map(e => e.id);
             }
 
             // Filter by category
-            return events
-                .filter(event => {
-                    if (!event.tags || event.tags.length === 0) {
-                        return false;
-                    }
-                    // Check if event has the selected category
-                    return event.tags.some(tag => tag.toUpperCase() === category.toUpperCase());
-                })
-                .map(e => e.id);
+            return store.getEventsByTag(instanceId, category).map(e => e.id);
         },
 
         /**
@@ -265,11 +404,13 @@
          * @param {Array} visibleEventIds - Array of event IDs that should be visible
          */
         updateEventVisibility: function(wrapper, visibleEventIds) {
+            const visible = new Set(visibleEventIds);
+
             // For calendar view - hide event items and days without events
             const eventItems = wrapper.querySelectorAll('.gcal-event-item');
             eventItems.forEach(item => {
                 const eventId = item.dataset.eventId;
-                if (visibleEventIds.includes(eventId)) {
+                if (visible.has(eventId)) {
                     item.classList.remove('filtered-out');
                 } else {
                     item.classList.add('filtered-out');
@@ -279,22 +420,49 @@
             // Note: We do NOT hide day cells in calendar view to maintain grid structure
             // Days remain visible even when they have no matching events
 
-            // For list view - hide event cards
-            const eventCards = wrapper.querySelectorAll('.gcal-list-event-card');
+            // For list view and the day view agenda - hide event cards
+            const eventCards = wrapper.querySelectorAll('.gcal-list-event-card, .gcal-day-agenda-item');
             eventCards.forEach(card => {
                 const eventId = card.dataset.eventId;
-                if (visibleEventIds.includes(eventId)) {
+                if (visible.has(eventId)) {
                     card.classList.remove('filtered-out');
                 } else {
                     card.classList.add('filtered-out');
                 }
             });
 
+            // For the upcoming agenda - hide day headings left without events
+            const agendaDays = wrapper.querySelectorAll('.gcal-agenda-day');
+            agendaDays.forEach(day => {
+                const hasVisible = day.querySelector('.gcal-day-agenda-item:not(.filtered-out), .gcal-list-event-card:not(.filtered-out)');
+                day.classList.toggle('filtered-out', !hasVisible);
+            });
+
             // For year view - update month counts
             this.updateYearViewCounts(wrapper);
 
-            // Show empty state if no events visible
-            this.updateEmptyState(wrapper, visibleEventIds.length === 0);
+            // Show empty state if none of the displayed period's events match
+            const periodEvents = this.getPeriodEvents(wrapper);
+            this.updateEmptyState(wrapper, !periodEvents.some(event => visible.has(event.id)));
+        },
+
+        /**
+         * Get the events of the period a wrapper displays
+         *
+         * The store may hold more (the whole month grid, or events already
+         * past in hide_past lists), which must not count as shown.
+         *
+         * @param {HTMLElement} wrapper - Calendar/list wrapper element
+         * @returns {Array} Event objects (all of the instance's without GCalNavigation)
+         */
+        getPeriodEvents: function(wrapper) {
+            const navigation = window.GCalNavigation;
+
+            if (!navigation) {
+                return window.GCalEventStore.getEvents(wrapper.id);
+            }
+
+            return navigation.getVisibleEvents(wrapper, navigation.getCurrentDate(wrapper));
         },
 
         /**
@@ -314,7 +482,7 @@
 
                 if (countEl) {
                     const count = visibleEvents.length;
-                    countEl.textContent = `${count} ${count === 1 ? 'événement' : 'événements'}`;
+                    countEl.textContent = GCalI18n.plural('eventCount', count);
                 }
             });
         },
@@ -338,7 +506,9 @@
                 if (!emptyState) {
                     emptyState = document.createElement('div');
                     emptyState.className = 'gcal-filter-empty';
-                    emptyState.innerHTML = '<p>Aucun événement trouvé pour cette catégorie.</p>';
+                    const message = document.createElement('p');
+                    message.textContent = GCalI18n.get('noEventsCategory');
+                    emptyState.appendChild(message);
 
                     const grid = wrapper.querySelector('.gcal-calendar-grid, .gcal-list');
                     if (grid) {
@@ -158,9 +158,11 @@
         GCalContrast.init();
     }
 
-    // Re-apply after filtering (when events visibility changes)
-    document.addEventListener('gcal-filter-complete', function() {
-        GCalContrast.applyContrastColors();
+    // Re-apply to events rendered by navigation and after filtering
+    [window.GCalEvents.RENDERED, window.GCalEvents.FILTER].forEach(name => {
+        window.GCalEvents.on(name, function() {
+            GCalContrast.applyContrastColors();
+        });
     });
 
     // Expose to global scope
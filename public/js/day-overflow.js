@@ -0,0 +1,286 @@
+/**
+ * Day Overflow Handler
+ *
+ * "+N more" links and the day popover of crowded month cells.
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * GCal Day Overflow
+     *
+     * Month cells have a fixed height. Events that do not fit are hidden and
+     * replaced by a "+N more" button (rendered empty by PHP and JS alike),
+     * which opens a popover listing every event of the day. Events in the
+     * popover open the event modal like any other event item.
+     */
+    const GCalDayOverflow = {
+        /**
+         * Open popover element, if any
+         */
+        popover: null,
+
+        /**
+         * "+N more" button that opened the popover
+         */
+        popoverButton: null,
+
+        /**
+         * Counter for unique popover title IDs
+         */
+        popoverCounter: 0,
+
+        /**
+         * Initialize overflow handling
+         */
+        init: function() {
+            this.fit(document);
+            this.attachEventListeners();
+        },
+
+        /**
+         * Attach delegated listeners
+         */
+        attachEventListeners: function() {
+            let resizeTimer = null;
+
+            // Re-fit new content, and cells whose events were filtered
+            [window.GCalEvents.RENDERED, window.GCalEvents.FILTER].forEach(name => {
+                window.GCalEvents.on(name, (detail, wrapper) => {
+                    if (wrapper) {
+                        this.fit(wrapper);
+                    }
+                });
+            });
+
+            document.addEventListener('click', e => {
+                const button = e.target.closest('.gcal-day-more');
+
+                if (button) {
+                    e.preventDefault();
+                    this.openPopover(button);
+                    return;
+                }
+
+                // Close when clicking outside; events inside open the modal on top
+                if (this.popover && !this.popover.contains(e.target) && !e.target.closest('.gcal-modal')) {
+                    this.closePopover(false);
+                }
+            });
+
+            // Cell heights follow the viewport
+            window.addEventListener('resize', () => {
+                clearTimeout(resizeTimer);
+                resizeTimer = setTimeout(() => {
+                    this.fit(document);
+                }, 150);
+            });
+        },
+
+        /**
+         * Fit the events of every month cell in a root element
+         *
+         * @param {HTMLElement|Document} root - Wrapper or document
+         */
+        fit: function(root) {
+            // A popover listing the old events would be stale
+            if (this.popover && root.contains(this.popover)) {
+                this.closePopover(false);
+            }
+
+            root.querySelectorAll('.gcal-month-view .gcal-day[data-date]').forEach(cell => {
+                this.fitCell(cell);
+            });
+        },
+
+        /**
+         * Hide the events that do not fit a cell and update its "+N more" button
+         *
+         * @param {HTMLElement} cell - Day cell
+         */
+        fitCell: function(cell) {
+            const container = cell.querySelector('.gcal-day-events');
+            const button = cell.querySelector('.gcal-day-more');
+
+            if (!container || !button) return;
+
+            const items = Array.from(container.children);
+            items.forEach(item => item.classList.remove('gcal-event-overflow'));
+            button.hidden = true;
+
+            // Nothing to do if everything fits, or the cell is not laid out (hidden)
+            if (!container.clientHeight || container.scrollHeight <= container.clientHeight) return;
+
+            // Make room for the button, then keep the items that still fit
+            button.hidden = false;
+            button.textContent = this.formatMoreLabel(0);
+
+            const available = container.clientHeight;
+            const shown = items.filter(item => !item.classList.contains('filtered-out'));
+            let fitting = 0;
+
+            while (fitting < shown.length && shown[fitting].offsetTop - container.offsetTop + shown[fitting].offsetHeight <= available) {
+                fitting++;
+            }
+
+            const hidden = shown.slice(fitting);
+            hidden.forEach(item => item.classList.add('gcal-event-overflow'));
+
+            // Spacers only keep bars aligned; count the events themselves
+            const hiddenCount = new Set(
+                hidden.filter(item => item.dataset.eventId).map(item => item.dataset.eventId)
+            ).size;
+
+            if (!hiddenCount) {
+                button.hidden = true;
+                return;
+            }
+
+            button.textContent = this.formatMoreLabel(hiddenCount);
+        },
+
+        /**
+         * Format the "+N more" label
+         *
+         * @param {number} count - Number of hidden events
+         * @returns {string} Label
+         */
+        formatMoreLabel: function(count) {
+            return GCalI18n.plural('moreEvents', count);
+        },
+
+        /**
+         * Open the popover listing every event of a day
+         *
+         * @param {HTMLElement} button - "+N more" button
+         */
+        openPopover: function(button) {
+            const cell = button.closest('.gcal-day');
+            const wrapper = cell ? cell.closest('.gcal-calendar-wrapper') : null;
+
+            if (!wrapper) return;
+
+            this.closePopover(false);
+
+            const titleId = 'gcal-day-popover-title-' + (++this.popoverCounter);
+            const date = window.GCalNavigation.parseEventDate(cell.dataset.date);
+            const formatter = new Intl.DateTimeFormat(window.GCalNavigation.getLocale(wrapper), {
+                weekday: 'long',
+                day: 'numeric',
+                month: 'long'
+            });
+
+            const popover = document.createElement('div');
+            popover.className = 'gcal-day-popover';
+            popover.setAttribute('role', 'dialog');
+            popover.setAttribute('aria-labelledby', titleId);
+            popover.innerHTML = `<div class="gcal-day-popover-header">
+                <h4 class="gcal-day-popover-title" id="${titleId}">${window.GCalNavigation.escapeHtml(formatter.format(date))}</h4>
+                <button type="button" class="gcal-day-popover-close" aria-label="${window.GCalNavigation.escapeHtml(gcalData.i18n.close)}">&times;</button>
+            </div>
+            <div class="gcal-day-popover-events">
+                ${this.getCellEvents(wrapper, cell).map(event => window.GCalNavigation.renderEventHTML(event)).join('')}
+            </div>`;
+
+            wrapper.appendChild(popover);
+            this.positionPopover(wrapper, cell, popover);
+
+            popover.querySelector('.gcal-day-popover-close').addEventListener('click', () => {
+                this.closePopover(true);
+            });
+
+            popover.addEventListener('keydown', e => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closePopover(true);
+                }
+            });
+
+            this.popover = popover;
+            this.popoverButton = button;
+            button.setAttribute('aria-expanded', 'true');
+
+            if (window.GCalContrast) {
+                window.GCalContrast.applyContrastColors();
+            }
+
+            const first = popover.querySelector('.gcal-event-item');
+            (first || popover.querySelector('.gcal-day-popover-close')).focus();
+        },
+
+        /**
+         * Close the open popover
+         *
+         * @param {boolean} returnFocus - Whether to focus the "+N more" button again
+         */
+        closePopover: function(returnFocus) {
+            if (!this.popover) return;
+
+            this.popover.remove();
+            this.popover = null;
+
+            if (this.popoverButton) {
+                this.popoverButton.setAttribute('aria-expanded', 'false');
+                if (returnFocus && document.body.contains(this.popoverButton)) {
+                    this.popoverButton.focus();
+                }
+            }
+            this.popoverButton = null;
+        },
+
+        /**
+         * Place the popover over its cell, kept inside the wrapper
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {HTMLElement} cell - Day cell
+         * @param {HTMLElement} popover - Popover element
+         */
+        positionPopover: function(wrapper, cell, popover) {
+            const wrapperRect = wrapper.getBoundingClientRect();
+            const cellRect = cell.getBoundingClientRect();
+
+            popover.style.minWidth = `${cellRect.width}px`;
+
+            let left = cellRect.left - wrapperRect.left;
+            let top = cellRect.top - wrapperRect.top;
+
+            left = Math.max(0, Math.min(left, wrapper.clientWidth - popover.offsetWidth));
+            top = Math.max(0, Math.min(top, wrapper.clientHeight - popover.offsetHeight));
+
+            popover.style.left = `${left}px`;
+            popover.style.top = `${top}px`;
+        },
+
+        /**
+         * Get the events shown in a cell, in cell order, minus filtered-out ones
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {HTMLElement} cell - Day cell
+         * @returns {Array} Event objects
+         */
+        getCellEvents: function(wrapper, cell) {
+            const ids = new Set();
+            cell.querySelectorAll('.gcal-event-item[data-event-id]:not(.filtered-out)').forEach(item => {
+                ids.add(item.dataset.eventId);
+            });
+
+            return Array.from(ids)
+                .map(id => window.GCalEventStore.getEvent(wrapper.id, id))
+                .filter(Boolean);
+        }
+    };
+
+    // Initialize on load
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            GCalDayOverflow.init();
+        });
+    } else {
+        GCalDayOverflow.init();
+    }
+
+    // Expose to global scope
+    window.GCalDayOverflow = GCalDayOverflow;
+
+})(window, document);
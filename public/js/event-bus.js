@@ -0,0 +1,126 @@
+/**
+ * Event Bus
+ *
+ * Documented CustomEvents fired as calendars are navigated, rendered and filtered.
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * GCal Events
+     *
+     * Every event is dispatched on the instance's wrapper and bubbles, so it can
+     * be heard on the wrapper or on document:
+     *
+     *     document.addEventListener('gcal:rendered', e => {
+     *         console.log(e.detail.instanceId, e.detail.eventIds);
+     *     });
+     *
+     * - gcal:navigate    - the period or date changed; fired before the new period renders
+     * - gcal:rendered    - the instance's events were rendered in the browser
+     * - gcal:filter      - a category filter was applied (detail.category, '' for all)
+     * - gcal:modal-open  - an event's modal opened (detail.eventId)
+     * - gcal:modal-close - the modal closed (detail.eventId)
+     * - gcal:timezone    - the visitor picked another display timezone, fired once on
+     *                      document (detail.timezone, detail.preference)
+     *
+     * Each detail carries instanceId, period, date and range (YYYY-MM-DD keys,
+     * range.end exclusive) of the period shown, and eventIds: the events visible
+     * in the instance when the event fires (for gcal:navigate, still those of
+     * the period being left). Content rendered by the server on page load does
+     * not fire gcal:rendered.
+     */
+    const GCalEvents = {
+        /**
+         * Event names
+         */
+        NAVIGATE: 'gcal:navigate',
+        RENDERED: 'gcal:rendered',
+        FILTER: 'gcal:filter',
+        MODAL_OPEN: 'gcal:modal-open',
+        MODAL_CLOSE: 'gcal:modal-close',
+        TIMEZONE: 'gcal:timezone',
+
+        /**
+         * Dispatch an event on an instance wrapper
+         *
+         * @param {string} name - Event name
+         * @param {HTMLElement|null} wrapper - Calendar or list wrapper (document if unknown)
+         * @param {Object} [extra] - Details specific to the event
+         */
+        emit: function(name, wrapper, extra) {
+            const detail = Object.assign(this.getDetail(wrapper), extra || {});
+
+            (wrapper || document).dispatchEvent(new CustomEvent(name, {
+                bubbles: true,
+                detail: detail
+            }));
+        },
+
+        /**
+         * Listen for an event on the whole page
+         *
+         * @param {string} name - Event name
+         * @param {Function} callback - Called with the event detail and the wrapper
+         * @returns {Function} Call to stop listening
+         */
+        on: function(name, callback) {
+            const listener = e => {
+                callback(e.detail, e.target === document ? null : e.target);
+            };
+
+            document.addEventListener(name, listener);
+
+            return () => {
+                document.removeEventListener(name, listener);
+            };
+        },
+
+        /**
+         * Describe the state of an instance
+         *
+         * @param {HTMLElement|null} wrapper - Calendar or list wrapper
+         * @returns {Object} { instanceId, period, date, range, eventIds }
+         */
+        getDetail: function(wrapper) {
+            const detail = {
+                instanceId: wrapper ? wrapper.id : null,
+                period: wrapper ? wrapper.dataset.period || null : null,
+                date: null,
+                range: null,
+                eventIds: []
+            };
+
+            if (!wrapper) {
+                return detail;
+            }
+
+            const navigation = window.GCalNavigation;
+
+            if (navigation && detail.period) {
+                const date = navigation.getCurrentDate(wrapper);
+                const range = navigation.getPeriodRange(wrapper, date);
+
+                detail.date = navigation.formatDateKey(date);
+                detail.range = {
+                    start: navigation.formatDateKey(range.start),
+                    end: navigation.formatDateKey(range.end)
+                };
+            }
+
+            // Events shown more than once (multi-day bars, time grid and agenda) are listed once
+            const ids = new Set();
+            wrapper.querySelectorAll('[data-event-id]:not(.filtered-out)').forEach(item => {
+                ids.add(item.dataset.eventId);
+            });
+            detail.eventIds = Array.from(ids);
+
+            return detail;
+        }
+    };
+
+    // Expose to global scope
+    window.GCalEvents = GCalEvents;
+
+})(window, document);
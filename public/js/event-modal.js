@@ -17,57 +17,23 @@
         currentModal: null,
 
         /**
-         * Current events data
+         * ID of the event shown in the open modal
          */
-        eventsData: {},
+        currentEventId: null,
+
+        /**
+         * Element focused before the modal opened, focused again on close
+         */
+        returnFocus: null,
 
         /**
          * Initialize modal handlers
          */
         init: function() {
-            this.loadEventsFromDOM();
             this.attachEventListeners();
             this.checkURLForEvent();
         },
 
-        /**
-         * Load events from data-events attributes in the DOM
-         */
-        loadEventsFromDOM: function() {
-            const self = this;
-
-            // Find all calendar and list wrappers with event data
-            const wrappers = document.querySelectorAll('.gcal-calendar-wrapper[data-events], .gcal-list-wrapper[data-events]');
-
-            wrappers.forEach(function(wrapper) {
-                const instanceId = wrapper.id;
-                const eventsJson = wrapper.dataset.events;
-
-                if (!instanceId || !eventsJson) {
-                    console.warn('GCal: Wrapper missing ID or events data', wrapper);
-                    return;
-                }
-
-                try {
-                    let events = JSON.parse(eventsJson);
-
-                    // Convert object with numeric keys to array (backward compatibility)
-                    if (!Array.isArray(events) && typeof events === 'object' && events !== null) {
-                        events = Object.values(events);
-                    }
-
-                    if (Array.isArray(events) && events.length > 0) {
-                        self.registerEvents(instanceId, events);
-                        console.log('GCal: Registered', events.length, 'events for', instanceId);
-                    } else {
-                        console.warn('GCal: No events found in data attribute for', instanceId);
-                    }
-                } catch (e) {
-                    console.error('GCal: Failed to parse events JSON for', instanceId, e);
-                }
-            });
-        },
-
         /**
          * Attach event listeners for opening modals
          */
@@ -93,6 +59,18 @@
                 }
             });
 
+            // Open modal with Enter/Space on focused event items (they are role="button")
+            document.addEventListener('keydown', function(e) {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+
+                const eventItem = e.target.closest('[data-event-id][role="button"]');
+
+                if (eventItem && eventItem === e.target) {
+                    e.preventDefault();
+                    self.openModal(eventItem.dataset.eventId);
+                }
+            });
+
             // Close modal on overlay click
             document.addEventListener('click', function(e) {
                 if (e.target.classList.contains('gcal-modal-overlay') ||
@@ -123,16 +101,6 @@
             });
         },
 
-        /**
-         * Register events data for a calendar instance
-         *
-         * @param {string} instanceId - Calendar instance ID
-         * @param {Array} events - Array of event objects
-         */
-        registerEvents: function(instanceId, events) {
-            this.eventsData[instanceId] = events;
-        },
-
         /**
          * Find event by ID across all instances
          *
@@ -140,23 +108,16 @@
          * @returns {Object|null} Event object or null
          */
         findEvent: function(eventId) {
-            for (const instanceId in this.eventsData) {
-                const events = this.eventsData[instanceId];
-                const event = events.find(e => e.id === eventId);
-
-                if (event) {
-                    return event;
-                }
-            }
-            return null;
+            return window.GCalEventStore.findEvent(eventId);
         },
 
         /**
          * Open modal with event details
          *
          * @param {string} eventId - Event ID
+         * @param {boolean} [updateURL=true] - Whether to add the event to the URL
          */
-        openModal: function(eventId) {
+        openModal: function(eventId, updateURL) {
             const event = this.findEvent(eventId);
 
             if (!event) {
@@ -164,10 +125,9 @@
                 return;
             }
 
-            // Format event with timezone
-            const formattedEvent = window.GCalTimezone ?
-                window.GCalTimezone.formatEvent(event) :
-                event;
+            // Format event with timezone, in the locale of the calendar it belongs to
+            const locale = window.GCalTimezone ? window.GCalTimezone.getLocale(this.getEventWrapper(eventId)) : undefined;
+            const formattedEvent = window.GCalEventStore.getFormattedEvent(event, locale);
 
             // Find modal element - look for any .gcal-modal on the page
             // (All instances share the same modal structure)
@@ -181,9 +141,15 @@
             // Populate modal content
             this.populateModal(modal, formattedEvent);
 
+            // Remember where to return focus, unless switching between events
+            if (!this.currentModal) {
+                this.returnFocus = document.activeElement;
+            }
+
             // Show modal
             modal.style.display = 'flex';
             this.currentModal = modal;
+            this.currentEventId = eventId;
 
             // Prevent body scroll
             document.body.style.overflow = 'hidden';
@@ -192,7 +158,31 @@
             this.trapFocus(modal);
 
             // Update URL with event ID for sharing
-            this.updateURLWithEvent(eventId);
+            if (updateURL !== false) {
+                this.updateURLWithEvent(eventId);
+            }
+
+            window.GCalEvents.emit(window.GCalEvents.MODAL_OPEN, this.getEventWrapper(eventId), { eventId: eventId });
+        },
+
+        /**
+         * Get the wrapper of the instance an event belongs to
+         *
+         * @param {string} eventId - Event ID
+         * @returns {HTMLElement|null} Calendar or list wrapper
+         */
+        getEventWrapper: function(eventId) {
+            // Prefer the instance the event was opened from
+            const opener = this.returnFocus && this.returnFocus.closest ?
+                this.returnFocus.closest('.gcal-calendar-wrapper, .gcal-list-wrapper') :
+                null;
+
+            if (opener && window.GCalEventStore.getEvent(opener.id, eventId)) {
+                return opener;
+            }
+
+            const instanceId = window.GCalEventStore.findInstance(eventId);
+            return instanceId ? document.getElementById(instanceId) : null;
         },
 
         /**
@@ -233,6 +223,10 @@
                 if (event.timezoneAbbr) {
                     html += '<div class="gcal-modal-timezone">' + this.escapeHtml(event.timezoneAbbr) + '</div>';
                 }
+                if (event.eventRange) {
+                    const eventTime = event.eventRange + (event.eventTimezoneAbbr ? ' ' + event.eventTimezoneAbbr : '');
+                    html += '<div class="gcal-modal-event-timezone">' + this.escapeHtml(GCalI18n.get('inEventTimezone', '%s').replace('%s', eventTime)) + '</div>';
+                }
             }
 
             html += '</div></div></div>';
@@ -283,17 +277,53 @@
 
         /**
          * Close current modal
+         *
+         * @param {boolean} [updateURL=true] - Whether to remove the event from the URL
          */
-        closeModal: function() {
+        closeModal: function(updateURL) {
             if (this.currentModal) {
+                const eventId = this.currentEventId;
+                const wrapper = this.getEventWrapper(eventId);
+
                 this.currentModal.style.display = 'none';
                 this.currentModal = null;
+                this.currentEventId = null;
 
                 // Restore body scroll
                 document.body.style.overflow = '';
 
+                // Return focus to the event that opened the modal, if still on the page
+                if (this.returnFocus && document.body.contains(this.returnFocus)) {
+                    this.returnFocus.focus();
+                }
+                this.returnFocus = null;
+
                 // Remove event ID from URL
-                this.removeEventFromURL();
+                if (updateURL !== false) {
+                    this.removeEventFromURL();
+                }
+
+                window.GCalEvents.emit(window.GCalEvents.MODAL_CLOSE, wrapper, { eventId: eventId });
+            }
+        },
+
+        /**
+         * Open or close the modal to match the URL
+         *
+         * Used when the browser moves through history, so the URL already
+         * holds the wanted state and is left untouched.
+         */
+        syncWithURL: function() {
+            const eventId = new URL(window.location).searchParams.get('gcal_event');
+
+            if (eventId && eventId === this.currentEventId) {
+                return;
+            }
+
+            if (eventId && this.findEvent(eventId)) {
+                this.openModal(eventId, false);
+            } else {
+                this.closeModal(false);
             }
         },
 
@@ -429,6 +459,9 @@
 
         /**
          * Check URL for event ID parameter and auto-open modal
+         *
+         * Unlike the period and category parameters, gcal_event is shared by every
+         * calendar on the page: only one modal opens at a time and event IDs are unique.
          */
         checkURLForEvent: function() {
             const url = new URL(window.location);
@@ -436,7 +469,6 @@
 
             if (eventId) {
                 console.log('GCal: Checking for event ID from URL:', eventId);
-                console.log('GCal: Available events:', this.eventsData);
 
                 // Small delay to ensure events are loaded
                 setTimeout(() => {
@@ -444,7 +476,8 @@
                     console.log('GCal: Found event:', event);
 
                     if (event) {
-                        this.openModal(eventId);
+                        // The URL already names the event
+                        this.openModal(eventId, false);
                     } else {
                         console.warn('Event not found in URL:', eventId);
                         // Show user-friendly message
@@ -469,10 +502,10 @@
                 <div class="gcal-notification-content">
                     <span class="gcal-notification-icon">ℹ️</span>
                     <div class="gcal-notification-message">
-                        <strong>Événement non trouvé</strong>
-                        <p>L'événement partagé n'est pas visible dans la période actuelle. Essayez de changer la vue ou la période.</p>
+                        <strong>${this.escapeHtml(GCalI18n.get('eventNotFound'))}</strong>
+                        <p>${this.escapeHtml(GCalI18n.get('eventNotVisible'))}</p>
                     </div>
-                    <button class="gcal-notification-close" aria-label="Fermer">&times;</button>
+                    <button class="gcal-notification-close" aria-label="${this.escapeHtml(GCalI18n.get('close'))}">&times;</button>
                 </div>
             `;
 
@@ -613,11 +646,11 @@
 
             if (success) {
                 button.classList.add('gcal-share-success');
-                button.querySelector('.gcal-share-text').textContent = 'Copié!';
+                button.querySelector('.gcal-share-text').textContent = GCalI18n.get('copied');
                 button.querySelector('.gcal-share-icon').textContent = '✓';
             } else {
                 button.classList.add('gcal-share-error');
-                button.querySelector('.gcal-share-text').textContent = 'Erreur';
+                button.querySelector('.gcal-share-text').textContent = GCalI18n.get('error');
                 button.querySelector('.gcal-share-icon').textContent = '✗';
             }
 
@@ -0,0 +1,337 @@
+/**
+ * Event Store
+ *
+ * Single per-instance store of the events shown by each calendar or list.
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * GCal Event Store
+     *
+     * Every calendar instance keeps its events here, indexed by ID, tag and
+     * day. Server-rendered events are read once from the wrapper's data-events
+     * attribute; events fetched while navigating replace them through set().
+     * Rendering, filtering and the modal all read from the store instead of
+     * parsing JSON of their own.
+     */
+    const GCalEventStore = {
+        /**
+         * Stores by instance ID
+         */
+        instances: {},
+
+        /**
+         * Timezone-formatted copies of events, by event object then locale and timezone
+         */
+        formatted: new WeakMap(),
+
+        /**
+         * Replace the events of an instance
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @param {Array} events - Event objects
+         */
+        set: function(instanceId, events) {
+            const store = {
+                events: events,
+                byId: new Map(),
+                byTag: new Map(),
+                byDate: null,
+                byDateZone: null,
+                positions: new Map()
+            };
+
+            events.forEach((event, index) => {
+                store.byId.set(String(event.id), event);
+                store.positions.set(event, index);
+
+                // Events without valid tags are indexed under the empty tag
+                const tags = event.tags && event.tags.length ? event.tags : [''];
+                new Set(tags.map(tag => tag.toUpperCase())).forEach(tag => {
+                    if (!store.byTag.has(tag)) {
+                        store.byTag.set(tag, []);
+                    }
+                    store.byTag.get(tag).push(event);
+                });
+            });
+
+            this.instances[instanceId] = store;
+        },
+
+        /**
+         * Get the store of an instance, reading server-rendered events on first use
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @returns {Object|null} Store, or null if the instance has no events data
+         */
+        getStore: function(instanceId) {
+            if (!this.instances[instanceId]) {
+                const wrapper = instanceId ? document.getElementById(instanceId) : null;
+
+                if (!wrapper || wrapper.dataset.events === undefined) {
+                    return null;
+                }
+
+                this.set(instanceId, this.parseEvents(wrapper));
+            }
+
+            return this.instances[instanceId];
+        },
+
+        /**
+         * Parse the data-events attribute of a wrapper
+         *
+         * @param {HTMLElement} wrapper - Calendar or list wrapper
+         * @returns {Array} Event objects (empty if the data is invalid)
+         */
+        parseEvents: function(wrapper) {
+            try {
+                let events = JSON.parse(wrapper.dataset.events || '[]');
+
+                // Convert object with numeric keys to array (backward compatibility)
+                if (!Array.isArray(events) && typeof events === 'object' && events !== null) {
+                    events = Object.values(events);
+                }
+
+                return Array.isArray(events) ? events : [];
+            } catch (e) {
+                console.error('GCal: Failed to parse events JSON for', wrapper.id, e);
+                return [];
+            }
+        },
+
+        /**
+         * Get all events of an instance
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @returns {Array} Event objects, in server order
+         */
+        getEvents: function(instanceId) {
+            const store = this.getStore(instanceId);
+            return store ? store.events : [];
+        },
+
+        /**
+         * Get an event of an instance by ID
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @param {string} eventId - Event ID
+         * @returns {Object|null} Event object or null
+         */
+        getEvent: function(instanceId, eventId) {
+            const store = this.getStore(instanceId);
+            return (store && store.byId.get(String(eventId))) || null;
+        },
+
+        /**
+         * Find an event by ID across all instances on the page
+         *
+         * @param {string} eventId - Event ID
+         * @returns {Object|null} Event object or null
+         */
+        findEvent: function(eventId) {
+            const instanceId = this.findInstance(eventId);
+            return instanceId ? this.getEvent(instanceId, eventId) : null;
+        },
+
+        /**
+         * Find the first instance on the page holding an event
+         *
+         * @param {string} eventId - Event ID
+         * @returns {string|null} Instance ID or null
+         */
+        findInstance: function(eventId) {
+            const wrappers = document.querySelectorAll('.gcal-calendar-wrapper[data-events], .gcal-list-wrapper[data-events]');
+
+            for (const wrapper of wrappers) {
+                if (wrapper.id && this.getEvent(wrapper.id, eventId)) {
+                    return wrapper.id;
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Get the events of an instance carrying a tag
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @param {string} tag - Tag (any case), or empty string for events without valid tags
+         * @returns {Array} Event objects
+         */
+        getEventsByTag: function(instanceId, tag) {
+            const store = this.getStore(instanceId);
+            return (store && store.byTag.get(tag.toUpperCase())) || [];
+        },
+
+        /**
+         * Get the events of an instance occurring on a day
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @param {string} key - Date key (YYYY-MM-DD)
+         * @returns {Array} Event objects
+         */
+        getEventsOnDate: function(instanceId, key) {
+            const store = this.getStore(instanceId);
+
+            if (!store) return [];
+
+            return this.getDateIndex(store).get(key) || [];
+        },
+
+        /**
+         * Get the events of an instance occurring between two days
+         *
+         * @param {string} instanceId - Calendar/list instance ID
+         * @param {Date} start - First day (local midnight)
+         * @param {Date} end - Day after the last one (local midnight)
+         * @returns {Array} Event objects, in server order
+         */
+        getEventsBetween: function(instanceId, start, end) {
+            const store = this.getStore(instanceId);
+
+            if (!store) return [];
+
+            const index = this.getDateIndex(store);
+            const found = new Set();
+
+            for (let day = new Date(start); day < end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+                (index.get(this.formatDateKey(day)) || []).forEach(event => found.add(event));
+            }
+
+            return Array.from(found).sort((a, b) => store.positions.get(a) - store.positions.get(b));
+        },
+
+        /**
+         * Get the day index of a store, building it on first use
+         *
+         * Events spanning several days are listed under each of them. Timed
+         * events fall on days of the display timezone, so the index is
+         * rebuilt when that changes.
+         *
+         * @param {Object} store - Instance store
+         * @returns {Map} Events by date key
+         */
+        getDateIndex: function(store) {
+            const timeZone = window.GCalTimezone ? window.GCalTimezone.userTimezone : null;
+
+            if (store.byDate && store.byDateZone === timeZone) {
+                return store.byDate;
+            }
+
+            store.byDate = new Map();
+            store.byDateZone = timeZone;
+
+            store.events.forEach(event => {
+                const range = this.getEventDayRange(event);
+
+                for (let day = range.startDay; day <= range.endDay; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+                    const key = this.formatDateKey(day);
+                    if (!store.byDate.has(key)) {
+                        store.byDate.set(key, []);
+                    }
+                    store.byDate.get(key).push(event);
+                }
+            });
+
+            return store.byDate;
+        },
+
+        /**
+         * Get an event with its times formatted for the display timezone
+         *
+         * Formatting is done once per event object, locale and timezone, and reused afterwards.
+         *
+         * @param {Object} event - Event object
+         * @param {string} [locale] - BCP 47 language tag (defaults to the site locale)
+         * @returns {Object} Formatted event (see GCalTimezone.formatEvent())
+         */
+        getFormattedEvent: function(event, locale) {
+            if (!window.GCalTimezone) {
+                return event;
+            }
+
+            locale = locale || window.GCalTimezone.getLocale();
+
+            if (!this.formatted.has(event)) {
+                this.formatted.set(event, new Map());
+            }
+
+            const copies = this.formatted.get(event);
+            const key = locale + '|' + window.GCalTimezone.userTimezone;
+
+            if (!copies.has(key)) {
+                copies.set(key, window.GCalTimezone.formatEvent(event, locale));
+            }
+
+            return copies.get(key);
+        },
+
+        /**
+         * Parse an event start/end value
+         *
+         * All-day values (YYYY-MM-DD) are read as local midnight rather than UTC,
+         * so they stay on their own day whatever the visitor's offset.
+         *
+         * @param {string} value - Event start or end string from the API
+         * @returns {Date} Date object
+         */
+        parseEventDate: function(value) {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                const parts = value.split('-').map(Number);
+                return new Date(parts[0], parts[1] - 1, parts[2]);
+            }
+
+            return new Date(value);
+        },
+
+        /**
+         * Get the first and last day covered by an event
+         *
+         * Google end times are exclusive: an all-day event on the 25th ends on the
+         * 26th, and a timed event ending at midnight does not occupy the next day.
+         * Timed events are placed on the days of the display timezone, not the
+         * browser's; all-day events keep their dates everywhere.
+         *
+         * @param {Object} event - Event object
+         * @returns {Object} { startDay, endDay } as local-midnight Date objects
+         */
+        getEventDayRange: function(event) {
+            const start = this.parseEventDate(event.start);
+            const end = event.end ? this.parseEventDate(event.end) : start;
+
+            let lastMoment = new Date(end.getTime() - 1);
+            if (lastMoment < start) {
+                lastMoment = start;
+            }
+
+            if (window.GCalTimezone && !/^\d{4}-\d{2}-\d{2}$/.test(event.start)) {
+                return {
+                    startDay: window.GCalTimezone.toCalendarDay(start),
+                    endDay: window.GCalTimezone.toCalendarDay(lastMoment)
+                };
+            }
+
+            return {
+                startDay: new Date(start.getFullYear(), start.getMonth(), start.getDate()),
+                endDay: new Date(lastMoment.getFullYear(), lastMoment.getMonth(), lastMoment.getDate())
+            };
+        },
+
+        /**
+         * Format a date as a YYYY-MM-DD key
+         *
+         * @param {Date} date - Date
+         * @returns {string} Date key
+         */
+        formatDateKey: function(date) {
+            return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        }
+    };
+
+    // Expose to global scope
+    window.GCalEventStore = GCalEventStore;
+
+})(window, document);
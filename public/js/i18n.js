@@ -0,0 +1,66 @@
+/**
+ * Translations
+ *
+ * Access to the translated strings localized in gcalData.i18n.
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * GCal I18n
+     *
+     * Plain strings are read from gcalData.i18n directly. Plural strings are
+     * localized as one translation per CLDR plural category (see
+     * gcal_tag_filter_js_plural()), from which plural() picks the one
+     * matching a count.
+     */
+    const GCalI18n = {
+        /**
+         * Get a translated string
+         *
+         * @param {string} key - Key in gcalData.i18n
+         * @param {string} [fallback] - Returned if the string is missing
+         * @returns {string} Translated string
+         */
+        get: function(key, fallback = '') {
+            const i18n = typeof gcalData !== 'undefined' && gcalData.i18n ? gcalData.i18n : {};
+            return typeof i18n[key] === 'string' ? i18n[key] : fallback;
+        },
+
+        /**
+         * Get the plural form of a string for a count, with %d replaced
+         *
+         * The form of the count's Intl.PluralRules category is used, in the
+         * site language the strings were translated to, or the 'other' form
+         * when that category has none.
+         *
+         * @param {string} key - Key in gcalData.i18n
+         * @param {number} count - Count
+         * @returns {string} Translated string
+         */
+        plural: function(key, count) {
+            const forms = typeof gcalData !== 'undefined' && gcalData.i18n ? gcalData.i18n[key] : null;
+
+            if (!forms || typeof forms !== 'object') {
+                return String(count);
+            }
+
+            let category = 'other';
+
+            try {
+                category = new Intl.PluralRules(gcalData.settings && gcalData.settings.locale).select(count);
+            } catch (e) {
+                console.warn('Error selecting plural form', e);
+            }
+
+            const form = typeof forms[category] === 'string' ? forms[category] : forms.other;
+
+            return typeof form === 'string' ? form.replace('%d', count) : String(count);
+        }
+    };
+
+    // Expose to global scope
+    window.GCalI18n = GCalI18n;
+
+})(window, document);
@@ -0,0 +1,323 @@
+/**
+ * Keyboard Navigation Handler
+ *
+ * Roving-tabindex keyboard navigation of the month and time grids.
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * GCal Keyboard Navigation
+     *
+     * Each grid is a single tab stop. Arrow keys move between days, Home/End go
+     * to the edges of the week, PageUp/PageDown change period, and Enter/Space
+     * steps into the focused day's events. Within a day, Up/Down move between
+     * events, Enter opens one (see GCalEventModal) and Escape returns to the day.
+     */
+    const GCalKeyboard = {
+        /**
+         * Day cells that take part in the roving tabindex
+         */
+        cellSelector: '.gcal-day[data-date], .gcal-time-grid-column[data-date]',
+
+        /**
+         * Initialize keyboard navigation
+         */
+        init: function() {
+            // Period changes go through the navigation handler
+            if (!window.GCalNavigation) return;
+
+            document.querySelectorAll('.gcal-calendar-wrapper').forEach(wrapper => {
+                this.setupGrid(wrapper);
+            });
+
+            this.attachEventListeners();
+        },
+
+        /**
+         * Attach delegated key and focus listeners
+         */
+        attachEventListeners: function() {
+            const self = this;
+
+            // Restore the roving tabindex of each newly rendered grid
+            window.GCalEvents.on(window.GCalEvents.RENDERED, function(detail, wrapper) {
+                if (wrapper && wrapper.classList.contains('gcal-calendar-wrapper')) {
+                    self.setupGrid(wrapper);
+                }
+            });
+
+            document.addEventListener('keydown', function(e) {
+                const grid = e.target.closest('[role="grid"]');
+                const wrapper = grid ? grid.closest('.gcal-calendar-wrapper') : null;
+
+                if (!wrapper) return;
+
+                if (e.target.matches(self.cellSelector)) {
+                    self.handleCellKey(e, wrapper, grid, e.target);
+                } else if (e.target.matches('.gcal-event-item, .gcal-day-more')) {
+                    self.handleEventKey(e, grid, e.target);
+                }
+            });
+
+            // Whichever day gets focus (by keyboard or click) becomes the tab stop
+            document.addEventListener('focusin', function(e) {
+                if (!e.target.matches || !e.target.matches(self.cellSelector)) return;
+
+                const grid = e.target.closest('[role="grid"]');
+                const wrapper = grid ? grid.closest('.gcal-calendar-wrapper') : null;
+
+                if (wrapper) {
+                    self.setActiveCell(grid, e.target);
+                    wrapper.dataset.focusDate = e.target.dataset.date;
+                }
+            });
+        },
+
+        /**
+         * Prepare a freshly rendered grid for keyboard use
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         */
+        setupGrid: function(wrapper) {
+            const grid = wrapper.querySelector('[role="grid"]');
+
+            if (!grid) return;
+
+            const title = wrapper.querySelector('.gcal-calendar-title');
+            if (title) {
+                grid.setAttribute('aria-label', title.textContent.trim());
+            }
+
+            // Events are reached through their day, so the grid stays a single tab stop
+            grid.querySelectorAll('.gcal-event-item[tabindex]').forEach(item => {
+                item.setAttribute('tabindex', '-1');
+            });
+
+            const cells = this.getCells(grid);
+            const active = this.findCell(grid, wrapper.dataset.focusDate) ||
+                cells.find(cell => cell.getAttribute('aria-current') === 'date') ||
+                cells.find(cell => !cell.classList.contains('gcal-day-other-month')) ||
+                cells[0];
+
+            if (active) {
+                this.setActiveCell(grid, active);
+            }
+        },
+
+        /**
+         * Make one cell the grid's tab stop
+         *
+         * @param {HTMLElement} grid - Grid element
+         * @param {HTMLElement} cell - Cell to activate
+         */
+        setActiveCell: function(grid, cell) {
+            this.getCells(grid).forEach(other => {
+                other.setAttribute('tabindex', other === cell ? '0' : '-1');
+            });
+        },
+
+        /**
+         * Handle a key pressed on a day cell
+         *
+         * @param {KeyboardEvent} e - Key event
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {HTMLElement} grid - Grid element
+         * @param {HTMLElement} cell - Focused cell
+         */
+        handleCellKey: function(e, wrapper, grid, cell) {
+            const date = this.parseDateKey(cell.dataset.date);
+            const weekStartsOn = gcalData.settings.weekStartsOn;
+            let target = null;
+
+            switch (e.key) {
+                case 'ArrowLeft':
+                    target = this.addDays(date, -1);
+                    break;
+                case 'ArrowRight':
+                    target = this.addDays(date, 1);
+                    break;
+                case 'ArrowUp':
+                    target = this.addDays(date, -7);
+                    break;
+                case 'ArrowDown':
+                    target = this.addDays(date, 7);
+                    break;
+                case 'Home':
+                case 'End': {
+                    const weekStart = this.addDays(date, -((date.getDay() - weekStartsOn + 7) % 7));
+                    const weekEnd = this.addDays(weekStart, 6);
+                    const inWeek = this.getCells(grid).filter(other => {
+                        const otherDate = this.parseDateKey(other.dataset.date);
+                        return otherDate >= weekStart && otherDate <= weekEnd;
+                    });
+
+                    // Stay on the days shown rather than paging to another period
+                    const edge = e.key === 'Home' ? inWeek[0] : inWeek[inWeek.length - 1];
+                    target = edge ? this.parseDateKey(edge.dataset.date) : date;
+                    break;
+                }
+                case 'PageUp':
+                case 'PageDown':
+                    target = window.GCalNavigation.getAdjacentDate(wrapper, date, e.key === 'PageUp' ? -1 : 1);
+                    break;
+                case 'Enter':
+                case ' ': {
+                    const first = this.getDayEvents(grid, cell.dataset.date)[0];
+                    if (first) {
+                        first.focus();
+                    }
+                    e.preventDefault();
+                    return;
+                }
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+
+            if (target) {
+                this.focusDate(wrapper, grid, target);
+            }
+        },
+
+        /**
+         * Handle a key pressed on an event inside a grid
+         *
+         * @param {KeyboardEvent} e - Key event
+         * @param {HTMLElement} grid - Grid element
+         * @param {HTMLElement} item - Focused event item or "+N more" button
+         */
+        handleEventKey: function(e, grid, item) {
+            const day = item.closest('[data-date]');
+
+            if (!day) return;
+
+            const events = this.getDayEvents(grid, day.dataset.date);
+            const index = events.indexOf(item);
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const next = events[index + (e.key === 'ArrowDown' ? 1 : -1)];
+                if (next) {
+                    next.focus();
+                }
+            } else if (e.key === 'Escape') {
+                const cell = this.findCell(grid, day.dataset.date);
+                if (cell) {
+                    e.preventDefault();
+                    cell.focus();
+                }
+            }
+        },
+
+        /**
+         * Focus the cell of a date, changing period first if it is not shown
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {HTMLElement} grid - Grid element
+         * @param {Date} date - Date to focus
+         */
+        focusDate: function(wrapper, grid, date) {
+            const key = this.formatDateKey(date);
+            const cell = this.findCell(grid, key);
+
+            if (cell) {
+                cell.focus();
+                return;
+            }
+
+            wrapper.dataset.focusDate = key;
+
+            window.GCalNavigation.goToDate(wrapper, date).then(() => {
+                const newCell = this.findCell(wrapper.querySelector('[role="grid"]'), key);
+                if (newCell) {
+                    newCell.focus();
+                }
+            });
+        },
+
+        /**
+         * Get the day cells of a grid in date order
+         *
+         * @param {HTMLElement} grid - Grid element
+         * @returns {Array} Cell elements
+         */
+        getCells: function(grid) {
+            return Array.from(grid.querySelectorAll(this.cellSelector));
+        },
+
+        /**
+         * Find the cell of a date
+         *
+         * @param {HTMLElement|null} grid - Grid element
+         * @param {string} key - Date key (YYYY-MM-DD)
+         * @returns {HTMLElement|null} Cell element
+         */
+        findCell: function(grid, key) {
+            if (!grid || !key) return null;
+
+            return this.getCells(grid).find(cell => cell.dataset.date === key) || null;
+        },
+
+        /**
+         * Get the visible, openable events of a day
+         *
+         * In time grids a day's events live in both its all-day cell and its column.
+         * A crowded month cell ends with its "+N more" button.
+         *
+         * @param {HTMLElement} grid - Grid element
+         * @param {string} key - Date key (YYYY-MM-DD)
+         * @returns {Array} Event elements
+         */
+        getDayEvents: function(grid, key) {
+            return Array.from(grid.querySelectorAll(`[data-date="${key}"] .gcal-event-item[role="button"], [data-date="${key}"] .gcal-day-more`))
+                .filter(item => item.offsetParent !== null);
+        },
+
+        /**
+         * Add days to a date
+         *
+         * @param {Date} date - Start date
+         * @param {number} days - Days to add (may be negative)
+         * @returns {Date} New local-midnight date
+         */
+        addDays: function(date, days) {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+        },
+
+        /**
+         * Parse a YYYY-MM-DD key as a local date
+         *
+         * @param {string} key - Date key
+         * @returns {Date} Local-midnight date
+         */
+        parseDateKey: function(key) {
+            return window.GCalNavigation.parseEventDate(key);
+        },
+
+        /**
+         * Format a date as a YYYY-MM-DD key
+         *
+         * @param {Date} date - Date
+         * @returns {string} Date key
+         */
+        formatDateKey: function(date) {
+            return window.GCalNavigation.formatDateKey(date);
+        }
+    };
+
+    // Initialize on load
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            GCalKeyboard.init();
+        });
+    } else {
+        GCalKeyboard.init();
+    }
+
+    // Expose to global scope
+    window.GCalKeyboard = GCalKeyboard;
+
+})(window, document);
@@ -0,0 +1,69 @@
+/**
+ * State Router
+ *
+ * Restores calendar state when the browser moves through history.
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * GCal State Router
+     *
+     * Navigation, category filtering and the modal each push their gcal_*
+     * parameters to the URL. On back/forward the URL is the source of truth:
+     * period, date and display style are restored first, then the category
+     * filter and the open event, once the restored period has its events.
+     */
+    const GCalStateRouter = {
+        /**
+         * Initialize history handling
+         */
+        init: function() {
+            window.addEventListener('popstate', () => {
+                this.restore();
+            });
+        },
+
+        /**
+         * Bring every calendar instance in line with the current URL
+         *
+         * @returns {Promise} Resolves once all instances are restored
+         */
+        restore: function() {
+            const wrappers = document.querySelectorAll('.gcal-calendar-wrapper[data-events], .gcal-list-wrapper[data-events]');
+            const pending = [];
+
+            if (window.GCalNavigation) {
+                wrappers.forEach(wrapper => {
+                    if (wrapper.id) {
+                        pending.push(window.GCalNavigation.restoreFromURL(wrapper));
+                    }
+                });
+            }
+
+            return Promise.all(pending).then(() => {
+                if (window.GCalCategoryFilter) {
+                    window.GCalCategoryFilter.syncWithURL();
+                }
+
+                if (window.GCalEventModal) {
+                    window.GCalEventModal.syncWithURL();
+                }
+            });
+        }
+    };
+
+    // Initialize on load
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            GCalStateRouter.init();
+        });
+    } else {
+        GCalStateRouter.init();
+    }
+
+    // Expose to global scope
+    window.GCalStateRouter = GCalStateRouter;
+
+})(window, document);
@@ -0,0 +1,234 @@
+/**
+ * Swipe Navigation Handler
+ *
+ * Horizontal swipes on touch devices to change period.
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * GCal Swipe Navigation
+     *
+     * Swiping left on the calendar grid or list goes to the next period,
+     * swiping right to the previous one. While the finger moves the content
+     * follows it as a preview; vertical gestures are left to the browser so
+     * the page keeps scrolling normally.
+     */
+    const GCalSwipe = {
+        /**
+         * Content areas that can be swiped
+         */
+        surfaceSelector: '.gcal-calendar-grid, .gcal-list',
+
+        /**
+         * Distance before a gesture is locked to one axis (px)
+         */
+        lockDistance: 10,
+
+        /**
+         * Horizontal distance needed to change period (px)
+         */
+        threshold: 60,
+
+        /**
+         * Gesture in progress, if any
+         */
+        gesture: null,
+
+        /**
+         * Initialize swipe navigation
+         */
+        init: function() {
+            // Period changes go through the navigation handler
+            if (!window.GCalNavigation || !('ontouchstart' in window)) return;
+
+            this.attachEventListeners();
+        },
+
+        /**
+         * Attach delegated touch listeners
+         *
+         * touchmove is not passive so a horizontal swipe can stop the browser
+         * from panning; everything else stays passive.
+         */
+        attachEventListeners: function() {
+            document.addEventListener('touchstart', e => {
+                this.handleStart(e);
+            }, { passive: true });
+
+            document.addEventListener('touchmove', e => {
+                this.handleMove(e);
+            }, { passive: false });
+
+            document.addEventListener('touchend', () => {
+                this.handleEnd();
+            });
+
+            document.addEventListener('touchcancel', () => {
+                this.reset();
+            });
+        },
+
+        /**
+         * Start tracking a one-finger touch on a swipeable surface
+         *
+         * @param {TouchEvent} e - Touch event
+         */
+        handleStart: function(e) {
+            this.reset();
+
+            if (e.touches.length !== 1) return;
+
+            const surface = e.target.closest(this.surfaceSelector);
+            const wrapper = surface ? surface.closest('.gcal-calendar-wrapper, .gcal-list-wrapper') : null;
+
+            // Only periods with prev/next buttons can be swiped (not "future")
+            if (!wrapper || !wrapper.querySelector('.gcal-nav-prev, .gcal-nav-next')) return;
+
+            // Leave sideways-scrolling content (the week time grid on phones) alone
+            if (this.isInHorizontalScroller(e.target, surface)) return;
+
+            this.gesture = {
+                wrapper: wrapper,
+                surface: surface,
+                startX: e.touches[0].clientX,
+                startY: e.touches[0].clientY,
+                deltaX: 0,
+                axis: null
+            };
+        },
+
+        /**
+         * Follow the finger once the gesture is known to be horizontal
+         *
+         * @param {TouchEvent} e - Touch event
+         */
+        handleMove: function(e) {
+            const gesture = this.gesture;
+
+            if (!gesture || e.touches.length !== 1) return;
+
+            const deltaX = e.touches[0].clientX - gesture.startX;
+            const deltaY = e.touches[0].clientY - gesture.startY;
+
+            if (!gesture.axis) {
+                if (Math.abs(deltaX) < this.lockDistance && Math.abs(deltaY) < this.lockDistance) return;
+
+                gesture.axis = Math.abs(deltaX) > Math.abs(deltaY) ? 'x' : 'y';
+            }
+
+            if (gesture.axis !== 'x') return;
+
+            if (e.cancelable) {
+                e.preventDefault();
+            }
+
+            gesture.deltaX = deltaX;
+
+            if (this.prefersReducedMotion()) return;
+
+            // Resist when there is no period to go to in that direction
+            const offset = this.canNavigate(gesture.wrapper, this.getDirection(deltaX)) ? deltaX : deltaX / 4;
+
+            gesture.surface.classList.add('gcal-swiping');
+            gesture.surface.style.transform = `translateX(${offset}px)`;
+        },
+
+        /**
+         * Change period if the swipe went far enough, then settle the preview
+         */
+        handleEnd: function() {
+            const gesture = this.gesture;
+
+            if (!gesture) return;
+
+            this.reset();
+
+            if (gesture.axis !== 'x' || Math.abs(gesture.deltaX) < this.threshold) return;
+
+            const direction = this.getDirection(gesture.deltaX);
+
+            if (this.canNavigate(gesture.wrapper, direction)) {
+                window.GCalNavigation.navigatePeriod(gesture.wrapper, direction);
+            }
+        },
+
+        /**
+         * Forget the current gesture and put its surface back in place
+         */
+        reset: function() {
+            if (this.gesture) {
+                this.gesture.surface.classList.remove('gcal-swiping');
+                this.gesture.surface.style.transform = '';
+            }
+
+            this.gesture = null;
+        },
+
+        /**
+         * Get the period direction of a horizontal move
+         *
+         * @param {number} deltaX - Horizontal distance moved (px)
+         * @returns {number} 1 for next (swipe left), -1 for previous (swipe right)
+         */
+        getDirection: function(deltaX) {
+            return deltaX < 0 ? 1 : -1;
+        },
+
+        /**
+         * Check whether the calendar can move in a direction
+         *
+         * @param {HTMLElement} wrapper - Calendar wrapper
+         * @param {number} direction - Direction (-1 for prev, 1 for next)
+         * @returns {boolean} True if the matching nav button exists and is enabled
+         */
+        canNavigate: function(wrapper, direction) {
+            const button = wrapper.querySelector(direction < 0 ? '.gcal-nav-prev' : '.gcal-nav-next');
+
+            return !!button && !button.disabled;
+        },
+
+        /**
+         * Check whether a touch starts inside content that scrolls sideways
+         *
+         * @param {HTMLElement} target - Touched element
+         * @param {HTMLElement} surface - Swipeable surface containing it
+         * @returns {boolean} True if an element in between can scroll horizontally
+         */
+        isInHorizontalScroller: function(target, surface) {
+            for (let el = target; el && el !== surface; el = el.parentElement) {
+                if (el.scrollWidth > el.clientWidth) {
+                    const overflowX = window.getComputedStyle(el).overflowX;
+                    if (overflowX === 'auto' || overflowX === 'scroll') {
+                        return true;
+                    }
+                }
+            }
+
+            return false;
+        },
+
+        /**
+         * Check the user's reduced motion preference
+         *
+         * @returns {boolean} True if animations should be avoided
+         */
+        prefersReducedMotion: function() {
+            return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        }
+    };
+
+    // Initialize on load
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            GCalSwipe.init();
+        });
+    } else {
+        GCalSwipe.init();
+    }
+
+    // Expose to global scope
+    window.GCalSwipe = GCalSwipe;
+
+})(window, document);
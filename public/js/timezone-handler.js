@@ -12,15 +12,27 @@
      */
     const GCalTimezone = {
         /**
-         * User's detected timezone
+         * Timezone times are displayed in (see setPreference())
          */
         userTimezone: null,
 
+        /**
+         * Browser's own timezone
+         */
+        browserTimezone: null,
+
+        /**
+         * localStorage key of the visitor's timezone choice
+         */
+        STORAGE_KEY: 'gcalTimezone',
+
         /**
          * Initialize timezone detection
          */
         init: function() {
-            this.userTimezone = this.detectTimezone();
+            this.browserTimezone = this.detectTimezone();
+            this.userTimezone = this.resolveTimezone(this.getPreference());
+            this.localizeTimes(document);
         },
 
         /**
@@ -37,6 +49,304 @@
             }
         },
 
+        /**
+         * Get the visitor's timezone choice
+         *
+         * @returns {string} 'local' (browser), 'event' (calendar) or an IANA timezone name
+         */
+        getPreference: function() {
+            try {
+                return window.localStorage.getItem(this.STORAGE_KEY) || 'local';
+            } catch (e) {
+                // Storage disabled
+                return 'local';
+            }
+        },
+
+        /**
+         * Display times in another timezone, and remember the choice
+         *
+         * Content already on the page is not updated; see GCalTimezoneSwitcher.
+         *
+         * @param {string} preference - 'local', 'event' or an IANA timezone name
+         * @returns {string} Timezone now in use
+         */
+        setPreference: function(preference) {
+            if (preference !== 'event' && !this.isValidTimezone(preference)) {
+                preference = 'local';
+            }
+
+            try {
+                if (preference === 'local') {
+                    window.localStorage.removeItem(this.STORAGE_KEY);
+                } else {
+                    window.localStorage.setItem(this.STORAGE_KEY, preference);
+                }
+            } catch (e) {
+                // Storage disabled; the choice lasts until the page is left
+            }
+
+            this.userTimezone = this.resolveTimezone(preference);
+            return this.userTimezone;
+        },
+
+        /**
+         * Get the timezone a choice stands for
+         *
+         * @param {string} preference - 'local', 'event' or an IANA timezone name
+         * @returns {string} IANA timezone name (the browser's if the choice is invalid)
+         */
+        resolveTimezone: function(preference) {
+            if (preference === 'event') {
+                return this.getEventTimezone();
+            }
+
+            if (preference !== 'local' && this.isValidTimezone(preference)) {
+                return preference;
+            }
+
+            return this.browserTimezone;
+        },
+
+        /**
+         * Get the timezone of the Google calendar
+         *
+         * @returns {string} IANA timezone name
+         */
+        getEventTimezone: function() {
+            const timezone = typeof gcalData !== 'undefined' && gcalData.settings ? gcalData.settings.eventTimezone : null;
+            return timezone && this.isValidTimezone(timezone) ? timezone : this.browserTimezone;
+        },
+
+        /**
+         * Check a timezone name is known to the browser
+         *
+         * @param {string} timezone - IANA timezone name
+         * @returns {boolean} True if valid
+         */
+        isValidTimezone: function(timezone) {
+            if (!timezone || typeof timezone !== 'string') {
+                return false;
+            }
+
+            try {
+                new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Get the wall-clock parts of a date in a timezone
+         *
+         * @param {Date} date - Date object
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
+         * @returns {Object} { year, month (1-12), day, hour (0-23), minute } as numbers
+         */
+        getZonedParts: function(date, timeZone = this.userTimezone) {
+            const parts = {};
+
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone || undefined,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                hourCycle: 'h23'
+            }).formatToParts(date).forEach(part => {
+                if (part.type !== 'literal') {
+                    parts[part.type] = parseInt(part.value, 10);
+                }
+            });
+
+            return {
+                year: parts.year,
+                month: parts.month,
+                day: parts.day,
+                // Some engines still write midnight as 24
+                hour: parts.hour % 24,
+                minute: parts.minute
+            };
+        },
+
+        /**
+         * Get the calendar day of a date in a timezone
+         *
+         * @param {Date} date - Date object
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
+         * @returns {string} Date key (YYYY-MM-DD)
+         */
+        getDateKey: function(date, timeZone = this.userTimezone) {
+            const parts = this.getZonedParts(date, timeZone);
+
+            return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+        },
+
+        /**
+         * Get the calendar day of a date in a timezone, as a local-midnight Date
+         *
+         * Calendar grids step through days with local Date objects; this gives
+         * the one an event belongs on, whatever the browser's own offset.
+         *
+         * @param {Date} date - Date object
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
+         * @returns {Date} Local midnight of that day
+         */
+        toCalendarDay: function(date, timeZone = this.userTimezone) {
+            const parts = this.getZonedParts(date, timeZone);
+            return new Date(parts.year, parts.month - 1, parts.day);
+        },
+
+        /**
+         * Get today's calendar day in a timezone
+         *
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
+         * @returns {Date} Local midnight of that day
+         */
+        getToday: function(timeZone = this.userTimezone) {
+            return this.toCalendarDay(new Date(), timeZone);
+        },
+
+        /**
+         * Get the minutes elapsed since midnight of a date in a timezone
+         *
+         * @param {Date} date - Date object
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
+         * @returns {number} Minutes (0-1439)
+         */
+        getMinutesOfDay: function(date, timeZone = this.userTimezone) {
+            const parts = this.getZonedParts(date, timeZone);
+            return parts.hour * 60 + parts.minute;
+        },
+
+        /**
+         * Get the moment a calendar day starts in a timezone
+         *
+         * @param {Date} day - Calendar day, as a local-midnight Date
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
+         * @returns {Date} Midnight of that day in the timezone
+         */
+        getDayStart: function(day, timeZone = this.userTimezone) {
+            const target = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate());
+            let instant = target;
+
+            // Correct by the offset found, twice in case it changes in between
+            for (let i = 0; i < 2; i++) {
+                const parts = this.getZonedParts(new Date(instant), timeZone);
+                instant += target - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+            }
+
+            return new Date(instant);
+        },
+
+        /**
+         * Get the locale dates are formatted in
+         *
+         * A calendar rendered with the shortcode's locale attribute carries it in
+         * its data-locale attribute; otherwise the WordPress site locale is used.
+         *
+         * @param {HTMLElement} [element] - Calendar wrapper or an element inside it
+         * @returns {string|undefined} BCP 47 language tag, or undefined for the browser's own
+         */
+        getLocale: function(element) {
+            const wrapper = element && element.closest ? element.closest('[data-locale]') : null;
+
+            if (wrapper && wrapper.dataset.locale) {
+                return wrapper.dataset.locale;
+            }
+
+            return (typeof gcalData !== 'undefined' && gcalData.settings && gcalData.settings.locale) || undefined;
+        },
+
+        /**
+         * Get the user's 12/24-hour preference from the WordPress time format
+         *
+         * @returns {boolean} True for 12-hour times
+         */
+        getHour12: function() {
+            const is24Hour = (typeof gcalData !== 'undefined' && gcalData.settings && gcalData.settings.is24Hour !== undefined)
+                ? gcalData.settings.is24Hour
+                : false; // Default to 12-hour if setting not available
+
+            return !is24Hour;
+        },
+
+        /**
+         * Get the WordPress time format
+         *
+         * @returns {string} PHP date format (e.g., "g:i a"), or '' if not available
+         */
+        getTimeFormat: function() {
+            return (typeof gcalData !== 'undefined' && gcalData.settings && gcalData.settings.timeFormat) || '';
+        },
+
+        /**
+         * Get the translated am/pm markers of a calendar
+         *
+         * @param {HTMLElement} [element] - Calendar wrapper or an element inside it
+         * @returns {Object} { am, pm, AM, PM }, as WordPress translates them
+         */
+        getMeridiem: function(element) {
+            const wrapper = element && element.closest ? element.closest('[data-date-names]') : null;
+
+            if (wrapper) {
+                try {
+                    const names = JSON.parse(wrapper.dataset.dateNames);
+                    if (names.meridiem) {
+                        return names.meridiem;
+                    }
+                } catch (e) {
+                    // Fall back to the site's below
+                }
+            }
+
+            const i18n = typeof gcalData !== 'undefined' && gcalData.i18n ? gcalData.i18n : {};
+            return i18n.meridiem || { am: 'am', pm: 'pm', AM: 'AM', PM: 'PM' };
+        },
+
+        /**
+         * Format a time with a WordPress (PHP) time format
+         *
+         * Gives the same text as the server's wp_date() for the time formats
+         * WordPress offers (a, A, g, G, h, H, i, s, T and escaped characters).
+         *
+         * @param {Date} date - Date object
+         * @param {string} format - PHP date format, e.g. "G\hi"
+         * @param {string} [timeZone] - IANA timezone name (defaults to the browser's)
+         * @param {Object} [meridiem] - am/pm markers (see getMeridiem())
+         * @returns {string} Formatted time (e.g., "14h30")
+         */
+        formatWPTime: function(date, format, timeZone, meridiem = this.getMeridiem()) {
+            const zone = timeZone || this.browserTimezone;
+            const parts = this.getZonedParts(date, zone);
+            const pad = value => String(value).padStart(2, '0');
+            const hour12 = parts.hour % 12 || 12;
+            const period = parts.hour < 12 ? 'am' : 'pm';
+            let output = '';
+
+            for (let i = 0; i < format.length; i++) {
+                const char = format[i];
+
+                switch (char) {
+                    case 'a': output += meridiem[period]; break;
+                    case 'A': output += meridiem[period.toUpperCase()]; break;
+                    case 'g': output += hour12; break;
+                    case 'h': output += pad(hour12); break;
+                    case 'G': output += parts.hour; break;
+                    case 'H': output += pad(parts.hour); break;
+                    case 'i': output += pad(parts.minute); break;
+                    case 's': output += pad(date.getUTCSeconds()); break;
+                    case 'T': output += this.getTimezoneAbbr(date, undefined, zone); break;
+                    case '\\': output += format[++i] || ''; break;
+                    default: output += char;
+                }
+            }
+
+            return output;
+        },
+
         /**
          * Convert ISO datetime string to user's timezone
          *
@@ -52,9 +362,10 @@
          *
          * @param {Date} date - Date object
          * @param {Object} options - Intl.DateTimeFormat options
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
          * @returns {string} Formatted date string
          */
-        formatDate: function(date, options = {}) {
+        formatDate: function(date, options = {}, locale = this.getLocale()) {
             const defaultOptions = {
                 timeZone: this.userTimezone,
                 year: 'numeric',
@@ -65,81 +376,179 @@
             const formatOptions = Object.assign({}, defaultOptions, options);
 
             try {
-                return new Intl.DateTimeFormat('fr-FR', formatOptions).format(date);
+                return new Intl.DateTimeFormat(locale, formatOptions).format(date);
             } catch (e) {
                 console.warn('Error formatting date', e);
-                return date.toLocaleDateString('fr-FR');
+                return date.toLocaleDateString();
             }
         },
 
         /**
          * Format time for display
          *
+         * Uses the WordPress time format, as the server does; Intl only
+         * formats the time when that is not available or other options are given.
+         *
          * @param {Date} date - Date object
          * @param {Object} options - Intl.DateTimeFormat options
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
+         * @param {Object} [meridiem] - am/pm markers (see getMeridiem())
          * @returns {string} Formatted time string
          */
-        formatTime: function(date, options = {}) {
-            // Use WordPress time format setting (12-hour vs 24-hour)
-            const is24Hour = (typeof gcalData !== 'undefined' && gcalData.settings && gcalData.settings.is24Hour !== undefined)
-                ? gcalData.settings.is24Hour
-                : false; // Default to 12-hour if setting not available
+        formatTime: function(date, options = {}, locale = this.getLocale(), meridiem = this.getMeridiem()) {
+            const timeFormat = this.getTimeFormat();
+            const otherOptions = Object.keys(options).some(key => key !== 'timeZone');
+
+            if (timeFormat && !otherOptions) {
+                return this.formatWPTime(date, timeFormat, 'timeZone' in options ? options.timeZone : this.userTimezone, meridiem);
+            }
 
             const defaultOptions = {
                 timeZone: this.userTimezone,
                 hour: 'numeric',
                 minute: '2-digit',
-                hour12: !is24Hour // Use WordPress setting for 12/24 hour format
+                hour12: this.getHour12() // Use WordPress setting for 12/24 hour format
             };
 
             const formatOptions = Object.assign({}, defaultOptions, options);
 
             try {
-                return new Intl.DateTimeFormat('fr-FR', formatOptions).format(date);
+                return new Intl.DateTimeFormat(locale, formatOptions).format(date);
             } catch (e) {
                 console.warn('Error formatting time', e);
-                return date.toLocaleTimeString('fr-FR');
+                return date.toLocaleTimeString();
             }
         },
 
         /**
          * Format date and time together
          *
+         * One formatter handles both, so the locale decides how they are joined
+         * ("21 octobre 2026 à 14:00", "October 21, 2026 at 2:00 PM"); the time
+         * itself then follows the WordPress time format (see formatTime()).
+         *
          * @param {Date} date - Date object
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
          * @returns {string} Formatted datetime string
          */
-        formatDateTime: function(date) {
-            return this.formatDate(date) + ' à ' + this.formatTime(date);
+        formatDateTime: function(date, locale = this.getLocale(), timeZone = this.userTimezone) {
+            const options = {
+                timeZone: timeZone,
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: this.getHour12()
+            };
+
+            try {
+                const parts = new Intl.DateTimeFormat(locale, options).formatToParts(date);
+                const isTime = part => ['hour', 'minute', 'second', 'dayPeriod'].includes(part.type);
+                const first = parts.findIndex(isTime);
+                const last = parts.length - 1 - parts.slice().reverse().findIndex(isTime);
+                const join = list => list.map(part => part.value).join('');
+
+                if (!this.getTimeFormat() || first === -1) {
+                    return join(parts);
+                }
+
+                // Swap the locale's time for the WordPress-formatted one, keeping the joining words
+                return join(parts.slice(0, first)) + this.formatTime(date, { timeZone: timeZone }, locale) + join(parts.slice(last + 1));
+            } catch (e) {
+                console.warn('Error formatting date', e);
+                return date.toLocaleString();
+            }
+        },
+
+        /**
+         * Format a time as a <time> element
+         *
+         * The datetime attribute lets localizeTimes() reformat it later.
+         *
+         * @param {Date} date - Date object
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
+         * @returns {string} HTML string
+         */
+        formatTimeHTML: function(date, locale = this.getLocale()) {
+            return `<time class="gcal-time" datetime="${date.toISOString()}">${this.formatTime(date, {}, locale)}</time>`;
+        },
+
+        /**
+         * Format the times of an event as shown on chips, cards and agendas
+         *
+         * Used for events rendered in the browser; the server renders the same
+         * <time> markup (GCal_Display::format_time_html()).
+         *
+         * @param {Object} event - Event object
+         * @param {boolean} [startOnly] - Only show the start time
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
+         * @returns {string} HTML string ("" for all-day events)
+         */
+        formatEventTime: function(event, startOnly = false, locale = this.getLocale()) {
+            if (event.isAllDay) {
+                return '';
+            }
+
+            const start = this.formatTimeHTML(this.parseDateTime(event.start), locale);
+
+            if (startOnly) {
+                return start;
+            }
+
+            return start + ' - ' + this.formatTimeHTML(this.parseDateTime(event.end), locale);
+        },
+
+        /**
+         * Reformat the <time> elements of an element for the display timezone
+         *
+         * Times rendered by the server are in the calendar's timezone; each is
+         * reformatted in the locale of the calendar containing it.
+         *
+         * @param {HTMLElement|Document} root - Element containing times
+         */
+        localizeTimes: function(root) {
+            root.querySelectorAll('time.gcal-time[datetime]').forEach(time => {
+                const date = this.parseDateTime(time.getAttribute('datetime'));
+
+                if (!isNaN(date)) {
+                    time.textContent = this.formatTime(date, {}, this.getLocale(time), this.getMeridiem(time));
+                }
+            });
         },
 
         /**
          * Get short month name
          *
          * @param {Date} date - Date object
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
          * @returns {string} Short month name (e.g., "Jan")
          */
-        getShortMonth: function(date) {
-            return this.formatDate(date, { month: 'short' });
+        getShortMonth: function(date, locale = this.getLocale()) {
+            return this.formatDate(date, { year: undefined, month: 'short', day: undefined }, locale);
         },
 
         /**
          * Get day of month
          *
          * @param {Date} date - Date object
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
          * @returns {string} Day of month (e.g., "15")
          */
-        getDay: function(date) {
-            return this.formatDate(date, { day: 'numeric' });
+        getDay: function(date, locale = this.getLocale()) {
+            return this.formatDate(date, { year: undefined, month: undefined, day: 'numeric' }, locale);
         },
 
         /**
          * Get short weekday name
          *
          * @param {Date} date - Date object
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
          * @returns {string} Short weekday name (e.g., "Mon")
          */
-        getShortWeekday: function(date) {
-            return this.formatDate(date, { weekday: 'short' });
+        getShortWeekday: function(date, locale = this.getLocale()) {
+            return this.formatDate(date, { year: undefined, month: undefined, day: undefined, weekday: 'short' }, locale);
         },
 
         /**
@@ -156,15 +565,44 @@
         /**
          * Format date range
          *
+         * Uses the locale's own range pattern where the browser supports it,
+         * which also leaves out the parts both ends share. Timed ranges are
+         * joined by hand so their times follow the WordPress time format.
+         *
          * @param {Date} start - Start date
          * @param {Date} end - End date
          * @param {boolean} isAllDay - Whether it's an all-day event
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
          * @returns {string} Formatted date range
          */
-        formatDateRange: function(start, end, isAllDay = false) {
+        formatDateRange: function(start, end, isAllDay = false, locale = this.getLocale(), timeZone = this.userTimezone) {
+            const options = {
+                timeZone: timeZone,
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            };
+
+            if (!isAllDay) {
+                options.hour = 'numeric';
+                options.minute = '2-digit';
+                options.hour12 = this.getHour12();
+            }
+
+            try {
+                const formatter = new Intl.DateTimeFormat(locale, options);
+                // Times follow the WordPress time format, which formatRange() cannot
+                if (typeof formatter.formatRange === 'function' && (isAllDay || !this.getTimeFormat())) {
+                    return formatter.formatRange(start, end);
+                }
+            } catch (e) {
+                // Invalid locale or range; build the range by hand below
+            }
+
             if (isAllDay) {
-                const startDate = this.formatDate(start);
-                const endDate = this.formatDate(end);
+                const startDate = this.formatDate(start, { timeZone: timeZone }, locale);
+                const endDate = this.formatDate(end, { timeZone: timeZone }, locale);
 
                 if (startDate === endDate) {
                     return startDate;
@@ -173,15 +611,15 @@
                 return startDate + ' - ' + endDate;
             }
 
-            const startDateTime = this.formatDateTime(start);
-            const endTime = this.formatTime(end);
+            const startDateTime = this.formatDateTime(start, locale, timeZone);
+            const endTime = this.formatTime(end, { timeZone: timeZone }, locale);
 
             // Check if same day
-            if (start.toDateString() === end.toDateString()) {
+            if (this.getDateKey(start, timeZone) === this.getDateKey(end, timeZone)) {
                 return startDateTime + ' - ' + endTime;
             }
 
-            const endDateTime = this.formatDateTime(end);
+            const endDateTime = this.formatDateTime(end, locale, timeZone);
             return startDateTime + ' - ' + endDateTime;
         },
 
@@ -189,18 +627,20 @@
          * Get timezone abbreviation
          *
          * @param {Date} date - Date object
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
+         * @param {string} [timeZone] - IANA timezone name (defaults to the display timezone)
          * @returns {string} Timezone abbreviation (e.g., "PST", "EST")
          */
-        getTimezoneAbbr: function(date) {
+        getTimezoneAbbr: function(date, locale = this.getLocale(), timeZone = this.userTimezone) {
             try {
-                const formatted = new Intl.DateTimeFormat('fr-FR', {
-                    timeZone: this.userTimezone,
+                const parts = new Intl.DateTimeFormat(locale, {
+                    timeZone: timeZone,
                     timeZoneName: 'short'
-                }).format(date);
+                }).formatToParts(date);
 
-                // Extract timezone abbreviation from formatted string
-                const parts = formatted.split(' ');
-                return parts[parts.length - 1];
+                // The locale decides where the name goes, so pick it out by type
+                const name = parts.find(part => part.type === 'timeZoneName');
+                return name ? name.value : '';
             } catch (e) {
                 return '';
             }
@@ -209,27 +649,46 @@
         /**
          * Convert event object times to user timezone
          *
+         * When the event's own timezone shows it at other times than the display
+         * timezone, eventRange gives them too ("21 October 2026, 20:00 - 21:00").
+         *
          * @param {Object} event - Event object with start/end times
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
          * @returns {Object} Event with formatted times
          */
-        formatEvent: function(event) {
+        formatEvent: function(event, locale = this.getLocale()) {
             const startDate = this.parseDateTime(event.start);
             const endDate = this.parseDateTime(event.end);
             const isAllDay = event.isAllDay || this.isAllDay(event.start);
 
+            // All-day dates are parsed as UTC midnight and are the same day everywhere
+            const dayZone = isAllDay ? 'UTC' : this.userTimezone;
+            const formattedRange = this.formatDateRange(startDate, endDate, isAllDay, locale, dayZone);
+
+            const eventTimezone = event.timezone && this.isValidTimezone(event.timezone) ? event.timezone : this.getEventTimezone();
+            let eventRange = null;
+
+            if (!isAllDay && eventTimezone !== this.userTimezone) {
+                const range = this.formatDateRange(startDate, endDate, false, locale, eventTimezone);
+                eventRange = range !== formattedRange ? range : null;
+            }
+
             return {
                 ...event,
                 startDate: startDate,
                 endDate: endDate,
                 isAllDay: isAllDay,
-                formattedDate: this.formatDate(startDate),
-                formattedTime: isAllDay ? null : this.formatTime(startDate),
-                formattedDateTime: isAllDay ? this.formatDate(startDate) : this.formatDateTime(startDate),
-                formattedRange: this.formatDateRange(startDate, endDate, isAllDay),
-                shortMonth: this.getShortMonth(startDate),
-                day: this.getDay(startDate),
-                shortWeekday: this.getShortWeekday(startDate),
-                timezoneAbbr: isAllDay ? null : this.getTimezoneAbbr(startDate)
+                formattedDate: this.formatDate(startDate, { timeZone: dayZone }, locale),
+                formattedTime: isAllDay ? null : this.formatTime(startDate, {}, locale),
+                formattedDateTime: isAllDay ? this.formatDate(startDate, { timeZone: dayZone }, locale) : this.formatDateTime(startDate, locale),
+                formattedRange: formattedRange,
+                shortMonth: this.getShortMonth(startDate, locale),
+                day: this.getDay(startDate, locale),
+                shortWeekday: this.getShortWeekday(startDate, locale),
+                timezoneAbbr: isAllDay ? null : this.getTimezoneAbbr(startDate, locale),
+                eventTimezone: eventTimezone,
+                eventRange: eventRange,
+                eventTimezoneAbbr: eventRange ? this.getTimezoneAbbr(startDate, locale, eventTimezone) : null
             };
         },
 
@@ -237,10 +696,11 @@
          * Format events array
          *
          * @param {Array} events - Array of event objects
+         * @param {string} [locale] - BCP 47 language tag (defaults to getLocale())
          * @returns {Array} Array of events with formatted times
          */
-        formatEvents: function(events) {
-            return events.map(event => this.formatEvent(event));
+        formatEvents: function(events, locale = this.getLocale()) {
+            return events.map(event => this.formatEvent(event, locale));
         }
     };
 
@@ -0,0 +1,187 @@
+/**
+ * Timezone Switcher
+ *
+ * Lets visitors pick the timezone event times are displayed in.
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * GCal Timezone Switcher
+     *
+     * Every calendar header has a switcher (rendered by PHP) offering the
+     * visitor's own timezone, the calendar's, or any other picked from a
+     * searchable list. The choice applies to every calendar on the page and
+     * is remembered by GCalTimezone. Times already on the page are
+     * reformatted, then gcal:timezone lets the calendars redraw the rest.
+     */
+    const GCalTimezoneSwitcher = {
+        /**
+         * ID of the shared list of timezone names
+         */
+        LIST_ID: 'gcal-timezone-list',
+
+        /**
+         * Initialize the switchers
+         */
+        init: function() {
+            const switches = document.querySelectorAll('.gcal-timezone-switch');
+
+            if (!switches.length) return;
+
+            switches.forEach(element => {
+                this.labelOptions(element);
+                this.attachEventListeners(element);
+            });
+
+            this.sync();
+        },
+
+        /**
+         * Attach the listeners of a switcher
+         *
+         * @param {HTMLElement} element - Switcher element
+         */
+        attachEventListeners: function(element) {
+            const select = element.querySelector('.gcal-timezone-select');
+            const search = element.querySelector('.gcal-timezone-search');
+
+            select.addEventListener('change', () => {
+                if (select.value !== 'other') {
+                    this.apply(select.value);
+                    return;
+                }
+
+                // Pick the timezone from the list first
+                this.fillList();
+                search.value = '';
+                search.hidden = false;
+                search.focus();
+            });
+
+            // Fired once a name is picked from the list, or typed and confirmed
+            search.addEventListener('change', () => {
+                const timezone = search.value.trim();
+
+                if (window.GCalTimezone.isValidTimezone(timezone)) {
+                    search.setCustomValidity('');
+                    this.apply(timezone);
+                } else {
+                    search.setCustomValidity(timezone ? GCalI18n.get('unknownTimezone') : '');
+                    search.reportValidity();
+                }
+            });
+
+            search.addEventListener('keydown', e => {
+                if (e.key === 'Escape') {
+                    // Back to the current choice
+                    e.stopPropagation();
+                    this.sync();
+                }
+            });
+        },
+
+        /**
+         * Name the timezones behind "My timezone" and "Event timezone"
+         *
+         * @param {HTMLElement} element - Switcher element
+         */
+        labelOptions: function(element) {
+            const local = element.querySelector('option[value="local"]');
+            const event = element.querySelector('option[value="event"]');
+
+            if (local && gcalData.i18n.myTimezone) {
+                local.textContent = gcalData.i18n.myTimezone.replace('%s', this.formatName(window.GCalTimezone.browserTimezone));
+            }
+
+            if (event && gcalData.i18n.eventTimezone) {
+                event.textContent = gcalData.i18n.eventTimezone.replace('%s', this.formatName(window.GCalTimezone.getEventTimezone()));
+            }
+        },
+
+        /**
+         * Fill the shared list of timezone names, on first use
+         */
+        fillList: function() {
+            let list = document.getElementById(this.LIST_ID);
+
+            if (!list) {
+                list = document.createElement('datalist');
+                list.id = this.LIST_ID;
+
+                // Older browsers cannot list their timezones; names can still be typed
+                const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+                timezones.forEach(timezone => {
+                    const option = document.createElement('option');
+                    option.value = timezone;
+                    list.appendChild(option);
+                });
+
+                document.body.appendChild(list);
+            }
+
+            document.querySelectorAll('.gcal-timezone-search').forEach(search => {
+                search.setAttribute('list', this.LIST_ID);
+            });
+        },
+
+        /**
+         * Display times in another timezone
+         *
+         * @param {string} preference - 'local', 'event' or an IANA timezone name
+         */
+        apply: function(preference) {
+            const timezone = window.GCalTimezone.setPreference(preference);
+
+            this.sync();
+            window.GCalTimezone.localizeTimes(document);
+
+            window.GCalEvents.emit(window.GCalEvents.TIMEZONE, null, {
+                timezone: timezone,
+                preference: preference
+            });
+        },
+
+        /**
+         * Show the current choice in every switcher
+         */
+        sync: function() {
+            const preference = window.GCalTimezone.getPreference();
+            const isOther = preference !== 'local' && preference !== 'event';
+
+            document.querySelectorAll('.gcal-timezone-switch').forEach(element => {
+                const select = element.querySelector('.gcal-timezone-select');
+                const search = element.querySelector('.gcal-timezone-search');
+
+                select.value = isOther ? 'other' : preference;
+                search.value = isOther ? preference : '';
+                search.hidden = !isOther;
+                search.setCustomValidity('');
+            });
+        },
+
+        /**
+         * Format a timezone name for display
+         *
+         * @param {string} timezone - IANA timezone name
+         * @returns {string} Name with spaces (e.g., "America/New York")
+         */
+        formatName: function(timezone) {
+            return String(timezone || '').replace(/_/g, ' ');
+        }
+    };
+
+    // Initialize on load
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            GCalTimezoneSwitcher.init();
+        });
+    } else {
+        GCalTimezoneSwitcher.init();
+    }
+
+    // Expose to global scope
+    window.GCalTimezoneSwitcher = GCalTimezoneSwitcher;
+
+})(window, document);